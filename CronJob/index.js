@@ -1,4 +1,617 @@
 const sdk = require('node-appwrite');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Usage counters written to user prefs; every plan must set all of them
+const USAGE_FIELDS = ['basic_uses', 'pro_uses', 'ultra_uses'];
+
+/*
+ * Subscription plans
+ *
+ * Plans come from the PLANS_COLLECTION_ID collection when it is set, otherwise from
+ * plans.json (or the file named by PLANS_CONFIG_PATH). Per-user overrides come from
+ * PLAN_OVERRIDES_COLLECTION_ID or the file's "overrides" section. Both are read at the
+ * start of every run, so allowance changes need no redeploy.
+ *
+ * A user's plan is picked in this order:
+ *   1. a per-user override naming a plan
+ *   2. a "plan<id>" label, e.g. "planpremium" (Appwrite labels are alphanumeric, up to
+ *      36 characters, so this only works for plan IDs of that form)
+ *   3. the highest-priority plan sharing a label with the user
+ *   4. the default plan
+ * Allowances set on a per-user override then replace the plan's values.
+ */
+
+function validatePlans(plans) {
+  const ids = Object.keys(plans);
+  if (ids.length === 0) {
+    throw new Error('No plans defined');
+  }
+  for (const id of ids) {
+    const plan = plans[id];
+    for (const field of USAGE_FIELDS) {
+      const value = (plan.allowances || {})[field];
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Plan ${id} has an invalid ${field}: ${value}`);
+      }
+    }
+  }
+  const defaults = ids.filter(id => plans[id].default);
+  if (defaults.length !== 1) {
+    throw new Error(`Exactly one plan must be the default (found ${defaults.length})`);
+  }
+  return defaults[0];
+}
+
+function pickAllowances(source) {
+  const allowances = {};
+  for (const field of USAGE_FIELDS) {
+    if (source[field] !== undefined && source[field] !== null) {
+      allowances[field] = source[field];
+    }
+  }
+  return allowances;
+}
+
+async function listAllDocuments(databases, collectionId) {
+  const documents = [];
+  let cursor = null;
+  while (true) {
+    const queries = [sdk.Query.limit(100)];
+    if (cursor) queries.push(sdk.Query.cursorAfter(cursor));
+    const page = await databases.listDocuments(process.env.DATABASE_ID, collectionId, queries);
+    documents.push(...page.documents);
+    if (page.documents.length < 100) return documents;
+    cursor = page.documents[page.documents.length - 1].$id;
+  }
+}
+
+async function loadPlanConfig(databases, log) {
+  const file = JSON.parse(fs.readFileSync(
+    process.env.PLANS_CONFIG_PATH || path.join(__dirname, 'plans.json'),
+    'utf8'
+  ));
+
+  let plans = file.plans || {};
+  let overrides = file.overrides || {};
+
+  if (process.env.PLANS_COLLECTION_ID) {
+    // Documents: planId, name, labels[], priority, isDefault, basic_uses, pro_uses, ultra_uses
+    plans = {};
+    for (const doc of await listAllDocuments(databases, process.env.PLANS_COLLECTION_ID)) {
+      plans[doc.planId] = {
+        name: doc.name || doc.planId,
+        labels: doc.labels || [],
+        priority: doc.priority || 0,
+        default: doc.isDefault === true,
+        allowances: pickAllowances(doc)
+      };
+    }
+    log(`Loaded ${Object.keys(plans).length} plans from collection ${process.env.PLANS_COLLECTION_ID}`);
+  } else {
+    log(`Loaded ${Object.keys(plans).length} plans from config file`);
+  }
+
+  if (process.env.PLAN_OVERRIDES_COLLECTION_ID) {
+    // Documents: userId, planId (optional), basic_uses/pro_uses/ultra_uses (optional)
+    overrides = {};
+    for (const doc of await listAllDocuments(databases, process.env.PLAN_OVERRIDES_COLLECTION_ID)) {
+      overrides[doc.userId] = { plan: doc.planId || null, ...pickAllowances(doc) };
+    }
+  }
+
+  const defaultPlan = validatePlans(plans);
+  for (const [userId, override] of Object.entries(overrides)) {
+    if (override.plan && !plans[override.plan]) {
+      throw new Error(`Override for user ${userId} names unknown plan ${override.plan}`);
+    }
+  }
+  log(`Plans: ${Object.keys(plans).join(', ')} (default ${defaultPlan}), ${Object.keys(overrides).length} user overrides`);
+
+  return { plans, overrides, defaultPlan };
+}
+
+const PLAN_LABEL_PREFIX = 'plan';
+
+function resolvePlan(user, { plans, overrides, defaultPlan }) {
+  const labels = Array.isArray(user.labels) ? user.labels : [];
+  const override = overrides[user.$id];
+
+  let planId = override && override.plan;
+  if (!planId) {
+    const labelled = labels.find(label => label.startsWith(PLAN_LABEL_PREFIX) &&
+      Object.hasOwn(plans, label.slice(PLAN_LABEL_PREFIX.length)));
+    planId = labelled && labelled.slice(PLAN_LABEL_PREFIX.length);
+  }
+  if (!planId) {
+    const matches = Object.keys(plans)
+      .filter(id => (plans[id].labels || []).some(label => labels.includes(label)))
+      .sort((a, b) => (plans[b].priority || 0) - (plans[a].priority || 0));
+    planId = matches[0] || defaultPlan;
+  }
+
+  return {
+    planId,
+    usageValues: { ...plans[planId].allowances, ...(override ? pickAllowances(override) : {}) }
+  };
+}
+
+/*
+ * Checkpoints
+ *
+ * Each reset period (a UTC day) has one document in CRON_RUNS_COLLECTION_ID, keyed by
+ * the period, recording how far the run got: the last user ID processed and the counts
+ * so far. A run that stops near the timeout leaves the checkpoint "running" and queues
+ * a continuation of this function for the same period, so a run that crosses midnight
+ * still finishes the day it started; any later invocation in the period also resumes
+ * from the checkpoint instead of starting over. Users whose reset failed are listed on
+ * the checkpoint, and once the cursor reaches the end of the user list the run is
+ * "retrying" them (up to FAILED_USER_ROUNDS passes) before it is "completed"; after
+ * that, further invocations in the period do nothing. Every reset also stamps the
+ * user's prefs with the period, so users in a batch that was interrupted before its
+ * checkpoint was saved are not reset twice.
+ *
+ * Only one execution works on a period at a time. It holds a lease: a second document
+ * whose ID is derived from the period, so creating it fails for everyone else until
+ * the holder deletes it or stops renewing it for LEASE_MS.
+ */
+
+const RESET_PERIOD_PREF = 'quota_reset_period';
+// How long a lease lasts without renewal before another invocation may take it over
+const LEASE_MS = 15 * 60 * 1000;
+const FAILED_USER_ROUNDS = 3;
+// Bounds the failed user list stored on the checkpoint
+const MAX_FAILED_USERS = 500;
+
+/*
+ * Usage history
+ *
+ * Before a user's counters are reset, the period that is ending is recorded in
+ * USAGE_HISTORY_COLLECTION_ID: for each usage field the allowance granted at the last
+ * reset (kept in prefs next to the period), what was left and what was consumed.
+ * Snapshot IDs are derived from user and period, so a resumed run cannot record a
+ * period twice. GET /usage-history serves the totals to admins.
+ */
+
+const ALLOWANCES_PREF = 'quota_allowances';
+const PLAN_PREF = 'quota_plan';
+const HISTORY_GRANULARITIES = ['day', 'week', 'month'];
+
+function getHistoryId(userId, period) {
+  return crypto.createHash('sha1').update(`${userId}:${period}`).digest('hex').substring(0, 36);
+}
+
+// Returns null for users never reset with a checkpointed run: without the period there
+// is nothing reliable to attribute their remaining uses to
+function buildUsageSnapshot(user, existingPrefs, currentPlan) {
+  if (!existingPrefs[RESET_PERIOD_PREF]) {
+    return null;
+  }
+
+  // Users reset before history existed have no recorded allowance; their current plan
+  // is the best estimate
+  const allowances = existingPrefs[ALLOWANCES_PREF] || currentPlan.usageValues;
+  const snapshot = {
+    userId: user.$id,
+    period: existingPrefs[RESET_PERIOD_PREF],
+    plan: existingPrefs[PLAN_PREF] || currentPlan.planId,
+    recordedAt: new Date().toISOString()
+  };
+  for (const field of USAGE_FIELDS) {
+    const tier = field.replace('_uses', '');
+    const allowance = Number(allowances[field]) || 0;
+    const remaining = Number(existingPrefs[field]) || 0;
+    snapshot[`${tier}_allowance`] = allowance;
+    snapshot[`${tier}_remaining`] = remaining;
+    snapshot[`${tier}_consumed`] = Math.max(0, allowance - remaining);
+  }
+  return snapshot;
+}
+
+async function recordUsageSnapshot(databases, snapshot) {
+  try {
+    await databases.createDocument(
+      process.env.DATABASE_ID,
+      process.env.USAGE_HISTORY_COLLECTION_ID,
+      getHistoryId(snapshot.userId, snapshot.period),
+      snapshot
+    );
+    return true;
+  } catch (err) {
+    // Already recorded by an earlier, interrupted invocation
+    if (err.code === 409) return false;
+    throw err;
+  }
+}
+
+function getBucketKey(period, granularity) {
+  if (granularity === 'month') return period.substring(0, 7);
+  if (granularity === 'week') {
+    // Weeks start on Monday and are keyed by that date
+    const date = new Date(`${period}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    return getPeriodKey(date);
+  }
+  return period;
+}
+
+// Reports and dry runs expose every user's plan and usage, so callers must be users
+// labelled "admin"
+async function isAdminCaller(req, users) {
+  const requesterId = (req.headers || {})['x-appwrite-user-id'];
+  const requester = requesterId ? await users.get(requesterId) : null;
+  return Boolean(requester && Array.isArray(requester.labels) && requester.labels.includes('admin'));
+}
+
+async function handleUsageHistoryReport(req, res, users, databases, log, error) {
+  const requesterId = req.headers['x-appwrite-user-id'];
+  try {
+    if (!await isAdminCaller(req, users)) {
+      error(`Usage history report denied for ${requesterId || 'anonymous caller'}`);
+      return res.json({ success: false, error: 'Admin access required' }, 403);
+    }
+    if (!process.env.USAGE_HISTORY_COLLECTION_ID) {
+      return res.json({ success: false, error: 'Usage history is not configured' }, 501);
+    }
+
+    const query = req.query || {};
+    const granularity = query.granularity || 'day';
+    if (!HISTORY_GRANULARITIES.includes(granularity)) {
+      return res.json({ success: false, error: `granularity must be one of: ${HISTORY_GRANULARITIES.join(', ')}` }, 400);
+    }
+    // Validate what was given before deriving the default range from it
+    const isDate = date => /^\d{4}-\d{2}-\d{2}$/.test(date) && Number.isFinite(Date.parse(date));
+    if ((query.to && !isDate(query.to)) || (query.from && !isDate(query.from))) {
+      return res.json({ success: false, error: 'from and to must be dates (YYYY-MM-DD) with from <= to' }, 400);
+    }
+    const to = query.to || getPeriodKey();
+    const from = query.from || getPeriodKey(new Date(Date.parse(to) - 29 * 24 * 60 * 60 * 1000));
+    if (from > to) {
+      return res.json({ success: false, error: 'from and to must be dates (YYYY-MM-DD) with from <= to' }, 400);
+    }
+
+    const buckets = {};
+    let records = 0;
+    let cursor = null;
+    while (true) {
+      const queries = [
+        sdk.Query.greaterThanEqual('period', from),
+        sdk.Query.lessThanEqual('period', to),
+        sdk.Query.limit(100)
+      ];
+      if (cursor) queries.push(sdk.Query.cursorAfter(cursor));
+      const page = await databases.listDocuments(process.env.DATABASE_ID, process.env.USAGE_HISTORY_COLLECTION_ID, queries);
+
+      for (const doc of page.documents) {
+        const key = getBucketKey(doc.period, granularity);
+        const bucket = buckets[key] || (buckets[key] = { period: key, users: new Set(), tiers: {} });
+        bucket.users.add(doc.userId);
+        for (const field of USAGE_FIELDS) {
+          const tier = field.replace('_uses', '');
+          const totals = bucket.tiers[tier] || (bucket.tiers[tier] = { allowance: 0, consumed: 0 });
+          totals.allowance += doc[`${tier}_allowance`] || 0;
+          totals.consumed += doc[`${tier}_consumed`] || 0;
+        }
+      }
+      records += page.documents.length;
+
+      if (page.documents.length < 100) break;
+      cursor = page.documents[page.documents.length - 1].$id;
+    }
+
+    const series = Object.values(buckets)
+      .sort((a, b) => a.period.localeCompare(b.period))
+      .map(bucket => ({ period: bucket.period, users: bucket.users.size, tiers: bucket.tiers }));
+
+    log(`Usage history report: ${records} snapshots, ${series.length} ${granularity} buckets`);
+    return res.json({ success: true, granularity, from, to, records, series });
+  } catch (err) {
+    error('Usage history report failed:', err.message);
+    return res.json({ success: false, error: err.message }, 500);
+  }
+}
+
+// The prefs a reset writes for a user
+function buildUpdatedPreferences(existingPrefs, planId, usageValues, period) {
+  return {
+    ...existingPrefs,  // Keep all existing preferences
+    ...usageValues,    // Override only usage values
+    [RESET_PERIOD_PREF]: period,
+    [ALLOWANCES_PREF]: usageValues,
+    [PLAN_PREF]: planId
+  };
+}
+
+/*
+ * Throughput
+ *
+ * Users in a batch are processed CRON_CONCURRENCY at a time, Appwrite calls are
+ * retried with exponential backoff on 429 and 5xx responses. Users whose prefs already
+ * hold their plan's values are counted as unchanged and not written at all: the
+ * checkpoint's cursor keeps a period's run from visiting them twice, and their period
+ * stamp stays at their last real reset, the period their next usage snapshot covers.
+ */
+
+const CONCURRENCY = Math.max(1, parseInt(process.env.CRON_CONCURRENCY, 10) || 10);
+const RETRY = { ATTEMPTS: 5, BASE_DELAY_MS: 250, MAX_DELAY_MS: 8000 };
+
+function isRetryable(err) {
+  return err.code === 429 || (err.code >= 500 && err.code < 600);
+}
+
+async function withRetry(operation, metrics) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= RETRY.ATTEMPTS) throw err;
+      // Full jitter keeps concurrent workers from retrying in lockstep
+      const delay = Math.random() * Math.min(RETRY.MAX_DELAY_MS, RETRY.BASE_DELAY_MS * 2 ** (attempt - 1));
+      metrics.retries++;
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Run worker over items with at most `concurrency` in flight
+async function forEachConcurrent(items, concurrency, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+// Whether a user's prefs already hold everything a reset would write, apart from the
+// period stamp; such a user has used nothing since their last reset
+function isPrefsCurrent(existingPrefs, planId, usageValues) {
+  const allowances = existingPrefs[ALLOWANCES_PREF] || {};
+  return existingPrefs[PLAN_PREF] === planId &&
+    USAGE_FIELDS.every(field => existingPrefs[field] === usageValues[field] && allowances[field] === usageValues[field]);
+}
+
+/*
+ * Dry run
+ *
+ * Runs the same plan resolution over every user with zero writes: no prefs, no
+ * checkpoint, no usage history. A user counts as "changed" when their plan or
+ * allowance would differ from the one granted at their last reset (refilling the
+ * counters alone is "unchanged"), "skipped" when already reset in the period, and
+ * "wouldFail" when no plan resolves or the new prefs exceed Appwrite's prefs size.
+ * Triggered by DRY_RUN=true or a {"dryRun": true} body, for scheduled executions and
+ * admin callers only; "period" evaluates another day (e.g. tomorrow, after today's
+ * reset) and "startAfter" continues a dry run that stopped at the timeout.
+ */
+
+const PREFS_MAX_BYTES = 65535;
+const DRY_RUN_MAX_DIFFS = 1000;
+
+function diffAllowances(existingPrefs, planId, usageValues) {
+  const previous = existingPrefs[ALLOWANCES_PREF] || existingPrefs;
+  const changes = {};
+  for (const field of USAGE_FIELDS) {
+    const from = previous[field] === undefined ? null : previous[field];
+    if (from !== usageValues[field]) {
+      changes[field] = { from, to: usageValues[field] };
+    }
+  }
+  const previousPlan = existingPrefs[PLAN_PREF] || null;
+  if (previousPlan !== planId) {
+    changes.plan = { from: previousPlan, to: planId };
+  }
+  return changes;
+}
+
+async function handleDryRun(req, body, res, users, databases, log, error) {
+  const startTime = Date.now();
+  const TIMEOUT_THRESHOLD = 14 * 60 * 1000;
+  const limit = 100;
+  const period = body.period || getPeriodKey();
+
+  try {
+    // A scheduled run (DRY_RUN=true) only reports to the execution log; any other
+    // caller needs the same admin access as /usage-history
+    const requesterId = (req.headers || {})['x-appwrite-user-id'];
+    if ((req.headers || {})['x-appwrite-trigger'] !== 'schedule' && !await isAdminCaller(req, users)) {
+      error(`Dry run denied for ${requesterId || 'anonymous caller'}`);
+      return res.json({ success: false, error: 'Admin access required' }, 403);
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(period) || !Number.isFinite(Date.parse(period))) {
+      return res.json({ success: false, error: 'period must be a date (YYYY-MM-DD)' }, 400);
+    }
+
+    log(`Starting dry run for period ${period}${body.startAfter ? ` after user ${body.startAfter}` : ''}`);
+    const planConfig = await loadPlanConfig(databases, log);
+
+    const counts = { changed: 0, unchanged: 0, skipped: 0, wouldFail: 0 };
+    const planCounts = {};
+    const diffs = [];
+    let lastUserId = body.startAfter || null;
+    let hasMore = true;
+
+    while (hasMore) {
+      const queries = [sdk.Query.limit(limit)];
+      if (lastUserId) queries.push(sdk.Query.cursorAfter(lastUserId));
+      const usersList = await withRetry(() => users.list(queries), { retries: 0 });
+
+      for (const user of usersList.users) {
+        const existingPrefs = user.prefs || {};
+        if (existingPrefs[RESET_PERIOD_PREF] === period) {
+          counts.skipped++;
+          continue;
+        }
+
+        let entry;
+        try {
+          const { planId, usageValues } = resolvePlan(user, planConfig);
+          const size = Buffer.byteLength(JSON.stringify(buildUpdatedPreferences(existingPrefs, planId, usageValues, period)));
+          if (size > PREFS_MAX_BYTES) {
+            throw new Error(`Updated prefs would be ${size} bytes (limit ${PREFS_MAX_BYTES})`);
+          }
+
+          planCounts[planId] = (planCounts[planId] || 0) + 1;
+          const changes = diffAllowances(existingPrefs, planId, usageValues);
+          if (Object.keys(changes).length === 0) {
+            counts.unchanged++;
+            continue;
+          }
+          counts.changed++;
+          entry = { userId: user.$id, status: 'changed', plan: planId, changes };
+        } catch (userError) {
+          counts.wouldFail++;
+          entry = { userId: user.$id, status: 'wouldFail', error: userError.message };
+        }
+        if (diffs.length < DRY_RUN_MAX_DIFFS) diffs.push(entry);
+      }
+
+      if (usersList.users.length > 0) {
+        lastUserId = usersList.users[usersList.users.length - 1].$id;
+      }
+      hasMore = usersList.users.length === limit;
+
+      if (hasMore && Date.now() - startTime > TIMEOUT_THRESHOLD) {
+        log('Dry run approaching timeout, stopping; continue with startAfter');
+        break;
+      }
+    }
+
+    const summary = {
+      success: true,
+      dryRun: true,
+      period,
+      completed: !hasMore,
+      lastUserId,
+      counts,
+      plans: planCounts,
+      diffs,
+      diffsTruncated: counts.changed + counts.wouldFail > diffs.length,
+      timestamp: new Date().toISOString()
+    };
+    log(`Dry run complete: ${JSON.stringify(counts)}`);
+    return res.json(summary);
+  } catch (err) {
+    error('Dry run failed:', err.message);
+    return res.json({ success: false, dryRun: true, error: err.message, timestamp: new Date().toISOString() }, 500);
+  }
+}
+
+function getPeriodKey(date = new Date()) {
+  return date.toISOString().substring(0, 10);
+}
+
+// The fields every run document starts with; leases use the same shape as checkpoints
+function newRunDocument(period, status) {
+  return {
+    runId: sdk.ID.unique(),
+    period,
+    status,
+    lastUserId: null,
+    updatedCount: 0,
+    unchangedCount: 0,
+    skippedCount: 0,
+    errorCount: 0,
+    historyCount: 0,
+    planCounts: '{}',
+    failedUserIds: '[]',
+    retryRounds: 0,
+    invocations: 0,
+    leaseExpiresAt: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+}
+
+// A continuation finishes the period its run started in, even after midnight; every
+// other invocation works on the current period
+async function resolvePeriod(databases, body, log) {
+  const current = getPeriodKey();
+  if (typeof body.period !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(body.period) || body.period >= current) {
+    return current;
+  }
+  try {
+    const earlier = await databases.getDocument(process.env.DATABASE_ID, process.env.CRON_RUNS_COLLECTION_ID, `reset-${body.period}`);
+    if (earlier.status !== 'completed') {
+      log(`Continuing the unfinished ${body.period} run`);
+      return body.period;
+    }
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  }
+  return current;
+}
+
+// Returns the lease ID, or null when another execution holds an unexpired lease
+async function acquireLease(databases, period, log) {
+  const leaseId = `lease-${period}`;
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await databases.createDocument(process.env.DATABASE_ID, process.env.CRON_RUNS_COLLECTION_ID, leaseId, {
+        ...newRunDocument(period, 'lease'),
+        leaseExpiresAt: new Date(Date.now() + LEASE_MS).toISOString()
+      });
+      return leaseId;
+    } catch (err) {
+      if (err.code !== 409) throw err;
+    }
+
+    let held = null;
+    try {
+      held = await databases.getDocument(process.env.DATABASE_ID, process.env.CRON_RUNS_COLLECTION_ID, leaseId);
+    } catch (err) {
+      if (err.code !== 404) throw err;
+    }
+    if (held && Date.parse(held.leaseExpiresAt) > Date.now()) {
+      return null;
+    }
+    // The holder died without releasing it (or released it just now): try again
+    if (held) {
+      log(`Removing expired lease ${leaseId}`);
+      try {
+        await databases.deleteDocument(process.env.DATABASE_ID, process.env.CRON_RUNS_COLLECTION_ID, leaseId);
+      } catch (err) {
+        if (err.code !== 404) throw err;
+      }
+    }
+  }
+  return null;
+}
+
+async function renewLease(databases, leaseId) {
+  await databases.updateDocument(process.env.DATABASE_ID, process.env.CRON_RUNS_COLLECTION_ID, leaseId, {
+    leaseExpiresAt: new Date(Date.now() + LEASE_MS).toISOString()
+  });
+}
+
+async function releaseLease(databases, leaseId, error) {
+  try {
+    await databases.deleteDocument(process.env.DATABASE_ID, process.env.CRON_RUNS_COLLECTION_ID, leaseId);
+  } catch (err) {
+    error('Failed to release run lease:', err.message);
+  }
+}
+
+// Only called by the lease holder, so the get-then-create cannot race
+async function loadCheckpoint(databases, period, log) {
+  const checkpointId = `reset-${period}`;
+  try {
+    const doc = await databases.getDocument(process.env.DATABASE_ID, process.env.CRON_RUNS_COLLECTION_ID, checkpointId);
+    log(`Found checkpoint ${checkpointId}: ${doc.status}, last user ${doc.lastUserId || 'none'}`);
+    return doc;
+  } catch (err) {
+    if (err.code !== 404) throw err;
+  }
+
+  log(`Starting new checkpoint ${checkpointId}`);
+  return databases.createDocument(process.env.DATABASE_ID, process.env.CRON_RUNS_COLLECTION_ID, checkpointId, newRunDocument(period, 'running'));
+}
+
+async function saveCheckpoint(databases, checkpoint, fields) {
+  Object.assign(checkpoint, fields);
+  await databases.updateDocument(process.env.DATABASE_ID, process.env.CRON_RUNS_COLLECTION_ID, checkpoint.$id, fields);
+}
 
 module.exports = async function ({ req, res, log, error }) {
   // Initialize Appwrite client
@@ -8,114 +621,298 @@ module.exports = async function ({ req, res, log, error }) {
     .setKey(process.env.APPWRITE_API_KEY); // Server API key
 
   const users = new sdk.Users(client);
+  const databases = new sdk.Databases(client);
+  const functions = new sdk.Functions(client);
+  let checkpoint = null;
+  let leaseId = null;
+
+  if (req.method === 'GET' && req.path === '/usage-history') {
+    return handleUsageHistoryReport(req, res, users, databases, log, error);
+  }
+
+  let body = {};
+  try {
+    body = typeof req.body === 'string' ? JSON.parse(req.body || '{}') : req.body || {};
+  } catch (parseError) {
+    return res.json({ success: false, error: 'Request body must be JSON' }, 400);
+  }
+  if (process.env.DRY_RUN === 'true' || body.dryRun === true) {
+    return handleDryRun(req, body, res, users, databases, log, error);
+  }
 
   try {
     // Add timeout protection
     const startTime = Date.now();
     const TIMEOUT_THRESHOLD = 14 * 60 * 1000 + 30; // 14 minutes 30 seconds
 
-    let offset = 0;
     const limit = 100; // Max users per API call
+    const period = process.env.CRON_RUNS_COLLECTION_ID ? await resolvePeriod(databases, body, log) : getPeriodKey();
+    const metrics = { retries: 0, users: 0, listMs: 0, processMs: 0, checkpointMs: 0 };
     let hasMore = true;
-    let updatedCount = 0;
-    let errorCount = 0;
 
     console.log('Starting daily user preferences update...');
 
-    while (hasMore) {
-      // Fetch batch of users
-      const usersList = await users.list([
-        sdk.Query.limit(limit),
-        sdk.Query.offset(offset)
-      ]);
+    // Load plans up front: a broken plan config must not reset anyone's allowance
+    const planConfig = await loadPlanConfig(databases, log);
 
-      // Process each user in current batch
-      for (const user of usersList.users) {
-        try {
-          // Get existing preferences (preserve them)
-          const existingPrefs = user.prefs || {};
-          
-          // Determine new usage values based on labels
-          let usageValues;
-          
-          const isAdmin = user.labels && 
-                          Array.isArray(user.labels) && 
-                          user.labels.includes('admin');
-          
-          if (isAdmin) {
-            // Admin users get unlimited uses
-            usageValues = {
-              basic_uses: 999,
-              pro_uses: 999,
-              ultra_uses: 999
-            };
-          } else {
-            // Regular users get standard limits
-            usageValues = {
-              basic_uses: 10,
-              pro_uses: 5,
-              ultra_uses: 3
-            };
+    // Resume this period's run from its checkpoint, if checkpoints are configured
+    if (process.env.CRON_RUNS_COLLECTION_ID) {
+      leaseId = await acquireLease(databases, period, log);
+      if (!leaseId) {
+        log(`Quota reset for ${period} is being processed by another execution`);
+        return res.json({
+          success: false,
+          error: 'Another execution is processing this period',
+          period,
+          timestamp: new Date().toISOString()
+        }, 409);
+      }
+      checkpoint = await loadCheckpoint(databases, period, log);
+      if (checkpoint.status === 'completed') {
+        log(`Quota reset for ${period} already completed, nothing to do`);
+        await releaseLease(databases, leaseId, error);
+        return res.json({
+          success: true,
+          message: `Daily preferences update already completed for ${period}`,
+          runId: checkpoint.runId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      await saveCheckpoint(databases, checkpoint, {
+        invocations: (checkpoint.invocations || 0) + 1
+      });
+    } else {
+      log('CRON_RUNS_COLLECTION_ID not set: running without a checkpoint, an interrupted run will not resume');
+    }
+
+    let lastUserId = checkpoint ? checkpoint.lastUserId : null;
+    let updatedCount = checkpoint ? checkpoint.updatedCount : 0;
+    let unchangedCount = checkpoint ? checkpoint.unchangedCount || 0 : 0;
+    let skippedCount = checkpoint ? checkpoint.skippedCount : 0;
+    let errorCount = checkpoint ? checkpoint.errorCount : 0;
+    let historyCount = checkpoint ? checkpoint.historyCount || 0 : 0;
+    const planCounts = checkpoint ? JSON.parse(checkpoint.planCounts || '{}') : {};
+    const failedUserIds = new Set(checkpoint ? JSON.parse(checkpoint.failedUserIds || '[]') : []);
+    let retryRounds = checkpoint ? checkpoint.retryRounds || 0 : 0;
+    let batchNumber = 0;
+
+    // Reset one user; runs CONCURRENCY at a time within a batch
+    const processUser = async (user) => {
+      try {
+        // Get existing preferences (preserve them)
+        const existingPrefs = user.prefs || {};
+
+        // Already reset this period (by an interrupted earlier invocation), or by the
+        // next period's run while this one was finishing after midnight
+        if (existingPrefs[RESET_PERIOD_PREF] >= period) {
+          skippedCount++;
+          return;
+        }
+
+        // Determine new usage values from the user's plan
+        const { planId, usageValues } = resolvePlan(user, planConfig);
+        planCounts[planId] = (planCounts[planId] || 0) + 1;
+
+        // Nothing used and the plan is unchanged: there is nothing to snapshot and
+        // nothing to write
+        if (isPrefsCurrent(existingPrefs, planId, usageValues)) {
+          unchangedCount++;
+          return;
+        }
+
+        // Record how much of the ending period's allowance was used. A failed
+        // snapshot is logged but does not hold back the user's new allowance.
+        if (process.env.USAGE_HISTORY_COLLECTION_ID) {
+          try {
+            const snapshot = buildUsageSnapshot(user, existingPrefs, { planId, usageValues });
+            if (snapshot && await withRetry(() => recordUsageSnapshot(databases, snapshot), metrics)) {
+              historyCount++;
+            }
+          } catch (historyError) {
+            error(`✗ Failed to record usage history for user ${user.$id}:`, historyError.message);
           }
+        }
+
+        // Merge with existing preferences (preserves other settings)
+        const updatedPreferences = buildUpdatedPreferences(existingPrefs, planId, usageValues, period);
 
-          // Merge with existing preferences (preserves other settings)
-          const updatedPreferences = {
-            ...existingPrefs,  // Keep all existing preferences
-            ...usageValues     // Override only usage values
-          };
+        // Update user preferences
+        await withRetry(() => users.updatePrefs(
+          user.$id,           // userId
+          updatedPreferences  // prefs
+        ), metrics);
+        updatedCount++;
+      } catch (userError) {
+        errorCount++;
+        if (failedUserIds.size < MAX_FAILED_USERS) failedUserIds.add(user.$id);
+        error(`✗ Failed to update user ${user.$id}:`, userError.message);
+        // Continue with next user even if one fails
+      }
+    };
 
-          // Update user preferences
-          await users.updatePrefs(
-            user.$id,           // userId
-            updatedPreferences  // prefs
-          );
+    // The cursor already reached the end of the user list: only the users that failed
+    // are left, and they are looked up again by ID
+    if (checkpoint && checkpoint.status === 'retrying') {
+      hasMore = false;
+      retryRounds++;
+      const retryIds = [...failedUserIds];
+      failedUserIds.clear();
+      log(`Retrying ${retryIds.length} users that failed earlier in ${period} (round ${retryRounds} of ${FAILED_USER_ROUNDS})`);
 
-          updatedCount++;
-          
-        } catch (userError) {
+      const phaseStart = Date.now();
+      await forEachConcurrent(retryIds, CONCURRENCY, async (userId) => {
+        let user;
+        try {
+          user = await withRetry(() => users.get(userId), metrics);
+        } catch (lookupError) {
+          // Deleted since it failed: nothing left to reset
+          if (lookupError.code === 404) return;
           errorCount++;
-          error(`✗ Failed to update user ${user.$id}:`, userError.message);
-          // Continue with next user even if one fails
+          failedUserIds.add(userId);
+          error(`✗ Failed to load user ${userId} for retry:`, lookupError.message);
+          return;
         }
+        await processUser(user);
+      });
+      metrics.processMs += Date.now() - phaseStart;
+      metrics.users += retryIds.length;
+    }
+
+    while (hasMore) {
+      // Fetch the next batch after the last processed user; a cursor does not skip or
+      // repeat users when accounts are created or deleted during the run
+      const queries = [sdk.Query.limit(limit)];
+      if (lastUserId) queries.push(sdk.Query.cursorAfter(lastUserId));
+      let phaseStart = Date.now();
+      const usersList = await withRetry(() => users.list(queries), metrics);
+      metrics.listMs += Date.now() - phaseStart;
+
+      // Process the batch; it is finished before the checkpoint moves past it
+      phaseStart = Date.now();
+      await forEachConcurrent(usersList.users, CONCURRENCY, processUser);
+      metrics.processMs += Date.now() - phaseStart;
+      metrics.users += usersList.users.length;
+
+      if (usersList.users.length > 0) {
+        lastUserId = usersList.users[usersList.users.length - 1].$id;
       }
+      hasMore = usersList.users.length === limit;
 
       // Log batch progress
-      const batchNumber = Math.floor(offset / limit) + 1;
-      log(`Batch ${batchNumber} completed: ${usersList.users.length} users processed (total: ${updatedCount})`);
+      batchNumber++;
+      log(`Batch ${batchNumber} completed: ${usersList.users.length} users processed (updated: ${updatedCount}, unchanged: ${unchangedCount})`);
+
+      if (checkpoint) {
+        phaseStart = Date.now();
+        await withRetry(() => saveCheckpoint(databases, checkpoint, {
+          lastUserId,
+          updatedCount,
+          unchangedCount,
+          skippedCount,
+          errorCount,
+          historyCount,
+          planCounts: JSON.stringify(planCounts),
+          failedUserIds: JSON.stringify([...failedUserIds])
+        }), metrics);
+        await withRetry(() => renewLease(databases, leaseId), metrics);
+        metrics.checkpointMs += Date.now() - phaseStart;
+      }
 
       // Check for timeout
-      if (Date.now() - startTime > TIMEOUT_THRESHOLD) {
+      if (hasMore && Date.now() - startTime > TIMEOUT_THRESHOLD) {
         log('Function approaching timeout, stopping gracefully...');
         break;
       }
+    }
+
+    let status = 'completed';
+    if (hasMore) {
+      status = 'running';
+    } else if (failedUserIds.size > 0 && retryRounds < FAILED_USER_ROUNDS) {
+      status = 'retrying';
+    } else if (failedUserIds.size > 0) {
+      error(`Giving up on ${failedUserIds.size} users after ${retryRounds} retry rounds; they are listed on the checkpoint`);
+    }
+
+    let continuation = null;
+    if (checkpoint) {
+      await saveCheckpoint(databases, checkpoint, {
+        status,
+        lastUserId,
+        updatedCount,
+        unchangedCount,
+        skippedCount,
+        errorCount,
+        historyCount,
+        planCounts: JSON.stringify(planCounts),
+        failedUserIds: JSON.stringify([...failedUserIds]),
+        retryRounds,
+        finishedAt: status === 'completed' ? new Date().toISOString() : null
+      });
+      await releaseLease(databases, leaseId, error);
+      leaseId = null;
 
-      // Check if there are more users
-      if (usersList.users.length < limit) {
-        hasMore = false;
-      } else {
-        await new Promise(resolve => setTimeout(resolve, 100)); // 100ms delay
-        offset += limit;
+      // Pick up the rest of the period right away instead of waiting for the next cron tick
+      if (status !== 'completed' && process.env.APPWRITE_FUNCTION_ID) {
+        try {
+          const execution = await functions.createExecution(process.env.APPWRITE_FUNCTION_ID, JSON.stringify({ period }), true);
+          continuation = execution.$id;
+          log(`Queued continuation execution ${continuation}`);
+        } catch (continueError) {
+          error('Failed to queue continuation, the next invocation will resume:', continueError.message);
+        }
       }
+    } else if (hasMore) {
+      error(`Stopped before the end of the user list; users after ${lastUserId} were not reset`);
     }
+    const retrying = status === 'retrying';
 
     // Final summary
     const summary = {
       success: true,
-      message: 'Daily preferences update completed',
+      message: hasMore
+        ? 'Daily preferences update paused, will resume from checkpoint'
+        : retrying ? 'Daily preferences update will retry failed users' : 'Daily preferences update completed',
+      period,
+      runId: checkpoint ? checkpoint.runId : null,
+      completed: status === 'completed',
+      lastUserId,
+      continuation,
       totalUpdated: updatedCount,
+      unchanged: unchangedCount,
+      skipped: skippedCount,
       errors: errorCount,
+      failedUsers: failedUserIds.size,
+      historySnapshots: historyCount,
+      plans: planCounts,
+      timing: {
+        totalMs: Date.now() - startTime,
+        listMs: metrics.listMs,
+        processMs: metrics.processMs,
+        checkpointMs: metrics.checkpointMs,
+        batches: batchNumber,
+        concurrency: CONCURRENCY,
+        retries: metrics.retries,
+        usersPerSecond: metrics.processMs > 0 ? Math.round((metrics.users / metrics.processMs) * 1000) : null
+      },
       timestamp: new Date().toISOString()
     };
 
     log('Update complete:', summary);
     return res.json(summary);
 
-  } catch (error) {
-    error('Critical error in preferences update:', error);
+  } catch (err) {
+    error('Critical error in preferences update:', err.message);
+
+    // Release the lease so the next invocation can resume right away
+    if (leaseId) {
+      await releaseLease(databases, leaseId, error);
+    }
+
     return res.json({
       success: false,
-      error: error.message,
+      error: err.message,
       timestamp: new Date().toISOString()
     }, 500);
   }
-};
\ No newline at end of file
+};
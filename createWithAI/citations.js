@@ -0,0 +1,98 @@
+/**
+ * Grounding citations for createWithAI
+ *
+ * Turns Google Search grounding metadata into a deduplicated, numbered reference list
+ * and, optionally, footnote markers placed after the sentences each source supports.
+ * Footnotes are applied to sanitized HTML, so the markup added here is trusted.
+ */
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build { references, supports } from groundingMetadata.
+ * references: [{ number, title, uri }] in first-cited order, one per distinct URI.
+ * supports: [{ text, numbers }] with the reference numbers backing each segment.
+ */
+export function extractCitations(groundingMetadata) {
+  const chunks = (groundingMetadata && groundingMetadata.groundingChunks) || [];
+  const rawSupports = (groundingMetadata && groundingMetadata.groundingSupports) || [];
+
+  const references = [];
+  const numberByUri = new Map();
+  const numberByChunk = new Map();
+
+  chunks.forEach((chunk, index) => {
+    const source = chunk.web || chunk.retrievedContext;
+    if (!source || !source.uri) return;
+
+    if (!numberByUri.has(source.uri)) {
+      numberByUri.set(source.uri, references.length + 1);
+      references.push({ number: references.length + 1, title: source.title || source.uri, uri: source.uri });
+    }
+    numberByChunk.set(index, numberByUri.get(source.uri));
+  });
+
+  const supports = rawSupports
+    .map(support => {
+      const numbers = [...new Set((support.groundingChunkIndices || [])
+        .map(index => numberByChunk.get(index))
+        .filter(Boolean))].sort((a, b) => a - b);
+      const text = support.segment && support.segment.text ? support.segment.text : '';
+      return { text, numbers };
+    })
+    .filter(support => support.text && support.numbers.length > 0);
+
+  return { references, supports };
+}
+
+/**
+ * Insert numbered footnote markers after supported sentences and append a References
+ * section. Segments that cannot be located in the HTML are skipped.
+ */
+export function renderFootnotes(html, { references, supports }) {
+  if (references.length === 0) {
+    return { html, placed: 0 };
+  }
+
+  const insertions = [];
+  for (const support of supports) {
+    // Segments are cut from the raw model output and may include markup; match on the
+    // tail of their visible text, as it appears (escaped) in the sanitized HTML
+    const visible = support.text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    const needle = escapeHTML(visible.length > 80 ? visible.substring(visible.length - 80).trimStart() : visible);
+    if (needle.length < 10) continue;
+
+    const position = html.indexOf(needle);
+    if (position === -1) continue;
+
+    const marker = support.numbers
+      .map(number => `<a href="#ref-${number}">[${number}]</a>`)
+      .join('');
+    insertions.push({ at: position + needle.length, marker: `<sup class="article-citation">${marker}</sup>` });
+  }
+
+  // Apply from the end so earlier offsets stay valid; one marker per position
+  const seen = new Set();
+  let output = html;
+  insertions
+    .sort((a, b) => b.at - a.at)
+    .forEach(({ at, marker }) => {
+      if (seen.has(at)) return;
+      seen.add(at);
+      output = output.substring(0, at) + marker + output.substring(at);
+    });
+
+  const items = references
+    .map(reference => `<li class="article-li" id="ref-${reference.number}">` +
+      `<a href="${escapeHTML(reference.uri)}" rel="noopener noreferrer" target="_blank">${escapeHTML(reference.title)}</a></li>`)
+    .join('');
+
+  output += `\n<h2 class="article-h2">References</h2>\n<ol class="article-ol article-references">${items}</ol>\n`;
+  return { html: output, placed: seen.size };
+}
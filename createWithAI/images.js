@@ -0,0 +1,144 @@
+import { GoogleGenAI, Type } from '@google/genai';
+import ImageKit from 'imagekit';
+
+/**
+ * Featured images for createWithAI
+ *
+ * A featured image either comes from an image model (prompted from a brief the text
+ * model writes for the article) or from a stock photo search, and is then uploaded
+ * to ImageKit. Uses the same IMAGEKIT_* credentials as the imagekit function.
+ */
+
+// Written by the text model from the article title and excerpt
+export const IMAGE_BRIEF_SCHEMA = {
+  type: Type.OBJECT,
+  properties: {
+    imagePrompt: { type: Type.STRING, description: 'Prompt for an image model: subject, setting, style; no text or logos in the image' },
+    searchQuery: { type: Type.STRING, description: 'Two to four word stock photo search query' },
+    altText: { type: Type.STRING, description: 'Alt text describing the image for screen readers, under 125 characters' }
+  },
+  required: ['imagePrompt', 'searchQuery', 'altText'],
+  propertyOrdering: ['imagePrompt', 'searchQuery', 'altText']
+};
+
+let geminiClient = null;
+let imagekitClient = null;
+
+export function isImageKitConfigured() {
+  return Boolean(process.env.IMAGEKIT_PUBLIC_KEY && process.env.IMAGEKIT_PRIVATE_KEY && process.env.IMAGEKIT_URL_ENDPOINT);
+}
+
+function getImageKit() {
+  if (!imagekitClient) {
+    imagekitClient = new ImageKit({
+      publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
+      privateKey: process.env.IMAGEKIT_PRIVATE_KEY,
+      urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT
+    });
+  }
+  return imagekitClient;
+}
+
+/**
+ * Generate one image with a Gemini image model.
+ * Returns { file } with base64 image bytes, ready for uploadImage().
+ */
+export async function generateImage({ model, prompt, aspectRatio }, log) {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('Image generation requires GEMINI_API_KEY');
+  }
+  if (!geminiClient) {
+    geminiClient = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  }
+
+  log(`Generating featured image with ${model}`);
+  const response = await geminiClient.models.generateImages({
+    model,
+    prompt,
+    config: { numberOfImages: 1, aspectRatio }
+  });
+
+  const image = response.generatedImages && response.generatedImages[0] && response.generatedImages[0].image;
+  if (!image || !image.imageBytes) {
+    throw new Error('Image model returned no image (it may have been filtered)');
+  }
+  return { file: image.imageBytes, mimeType: image.mimeType || 'image/png' };
+}
+
+const STOCK_PROVIDERS = {
+  unsplash: {
+    url: query => `https://api.unsplash.com/search/photos?query=${encodeURIComponent(query)}&orientation=landscape&per_page=1&content_filter=high`,
+    headers: apiKey => ({ Authorization: `Client-ID ${apiKey}`, 'Accept-Version': 'v1' }),
+    pick: body => {
+      const photo = body.results && body.results[0];
+      return photo && {
+        file: photo.urls.regular,
+        altText: photo.alt_description || '',
+        attribution: `Photo by ${photo.user.name} on Unsplash`,
+        sourceUrl: photo.links.html
+      };
+    }
+  },
+  pexels: {
+    url: query => `https://api.pexels.com/v1/search?query=${encodeURIComponent(query)}&orientation=landscape&per_page=1`,
+    headers: apiKey => ({ Authorization: apiKey }),
+    pick: body => {
+      const photo = body.photos && body.photos[0];
+      return photo && {
+        file: photo.src.large2x || photo.src.large,
+        altText: photo.alt || '',
+        attribution: `Photo by ${photo.photographer} on Pexels`,
+        sourceUrl: photo.url
+      };
+    }
+  }
+};
+
+/**
+ * Find a landscape stock photo for a query.
+ * Returns { file (image URL), altText, attribution, sourceUrl }.
+ */
+export async function searchStockImage(query, { provider, apiKey, timeoutMs }, log) {
+  const stock = STOCK_PROVIDERS[provider];
+  if (!stock) {
+    throw new Error(`Unknown stock image provider: ${provider}`);
+  }
+  if (!apiKey) {
+    throw new Error(`Stock image provider ${provider} has no API key configured`);
+  }
+
+  log(`Searching ${provider} for "${query}"`);
+  const response = await fetch(stock.url(query), {
+    headers: stock.headers(apiKey),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`Stock image search failed (${response.status})`);
+  }
+
+  const photo = stock.pick(await response.json());
+  if (!photo) {
+    throw new Error(`No stock image found for "${query}"`);
+  }
+  return photo;
+}
+
+/**
+ * Upload an image (base64 bytes or a remote URL ImageKit fetches itself).
+ * Returns { fileId, url }.
+ */
+export async function uploadImage({ file, fileName, folder, tags }, log) {
+  log(`Uploading featured image to ImageKit folder ${folder}`);
+  const uploaded = await getImageKit().upload({
+    file,
+    fileName,
+    folder,
+    tags,
+    useUniqueFileName: true
+  });
+  return { fileId: uploaded.fileId, url: uploaded.url };
+}
+
+export async function deleteImage(fileId) {
+  await getImageKit().deleteFile(fileId);
+}
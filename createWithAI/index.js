@@ -1,30 +1,245 @@
-import { Client, Databases, ID, Query, Users } from 'node-appwrite';
-import { GoogleGenAI, Type } from '@google/genai';
+import { Client, Databases, ExecutionMethod, Functions, ID, Query, Users } from 'node-appwrite';
+import { createHash, timingSafeEqual } from 'crypto';
+import { generateWithFallback } from './providers.js';
+import { getStylesheetClasses, sanitizeArticleHTML } from './sanitizer.js';
+import {
+  ARTICLE_SCHEMA, OUTLINE_SCHEMA, SERIES_OUTLINE_SCHEMA,
+  parseOutline, parseSeriesOutline, parseStructuredArticle, renderStructuredArticle
+} from './structured.js';
+import { extractCitations, renderFootnotes } from './citations.js';
+import { fetchSources } from './sources.js';
+import { moderateText } from './moderation.js';
+import { buildSEOMetadata, slugify } from './seo.js';
+import { aggregateUsage, summarizeUsage } from './usage.js';
+import { getTemplate, resolveTemplate } from './templates.js';
+import { IMAGE_BRIEF_SCHEMA, deleteImage, generateImage, isImageKitConfigured, searchStockImage, uploadImage } from './images.js';
+import { UNTRUSTED_CONTENT_RULES, detectInjection, inlineUntrusted, wrapUntrusted } from './injection.js';
+import { buildShingles, compareShingles } from './similarity.js';
 
 /**
  * Appwrite Function: Enhanced AI Content Generator
  */
 
+// Estimated prices in USD per million tokens (thinking tokens bill as output), plus a
+// flat per-request charge when search grounding is used. Only used for cost reporting.
+const PRICING = {
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40, grounding: 0.035 },
+  'gemini-2.5-flash': { input: 0.30, output: 2.50, grounding: 0.035 },
+  'gemini-3-flash': { input: 0.50, output: 3.00, grounding: 0.035 },
+  openai: {
+    input: Number(process.env.OPENAI_COMPAT_PRICE_INPUT) || 0,
+    output: Number(process.env.OPENAI_COMPAT_PRICE_OUTPUT) || 0,
+    grounding: 0
+  }
+};
+
 const CONFIG = {
+  // Ordered provider/model chain per tier; later entries are fallbacks for quota and 5xx
+  // errors. Entries whose provider is not configured are skipped. MODEL_CHAINS (JSON)
+  // replaces this table, e.g. {"basic":[{"provider":"mock","model":"mock-article"}]}.
+  // pricing feeds the usage collection's cost estimates.
   MODELS: {
-    basic: 'gemini-2.5-flash-lite',
-    pro: 'gemini-2.5-flash',
-    ultra: 'gemini-3-flash'
+    basic: [
+      { provider: 'gemini', model: 'gemini-2.5-flash-lite', pricing: PRICING['gemini-2.5-flash-lite'] },
+      { provider: 'openai', model: process.env.OPENAI_COMPAT_MODEL, pricing: PRICING.openai }
+    ],
+    pro: [
+      { provider: 'gemini', model: 'gemini-2.5-flash', pricing: PRICING['gemini-2.5-flash'] },
+      { provider: 'gemini', model: 'gemini-2.5-flash-lite', pricing: PRICING['gemini-2.5-flash-lite'] },
+      { provider: 'openai', model: process.env.OPENAI_COMPAT_MODEL, pricing: PRICING.openai }
+    ],
+    ultra: [
+      { provider: 'gemini', model: 'gemini-3-flash', pricing: PRICING['gemini-3-flash'] },
+      { provider: 'gemini', model: 'gemini-2.5-flash', pricing: PRICING['gemini-2.5-flash'] },
+      { provider: 'openai', model: process.env.OPENAI_COMPAT_MODEL, pricing: PRICING.openai }
+    ],
+    // Classifier used by the moderation gate, independent of the request tier
+    moderation: [
+      { provider: 'gemini', model: 'gemini-2.5-flash-lite', pricing: PRICING['gemini-2.5-flash-lite'] },
+      { provider: 'openai', model: process.env.OPENAI_COMPAT_MODEL, pricing: PRICING.openai }
+    ]
   },
   MAX_OUTPUT_TOKENS: {
     concise: 4000,
     moderate: 6000,
-    extended: 8000
+    extended: 8000,
+    // Per pass (outline or one section); long-form articles are stitched from several passes
+    longform: 4000
+  },
+  LONGFORM: {
+    MIN_WORDS: 2000,
+    MAX_WORDS: 5000,
+    DEFAULT_WORDS: 3000,
+    WORDS_PER_SECTION: 400,
+    // How much of the already-written text each section pass sees
+    CONTEXT_CHARS: 12000
   },
+  // create: new article; the rest revise an existing article owned by the caller
+  OPERATIONS: ['create', 'series', 'rewrite_section', 'expand', 'shorten', 'change_tone', 'fix_grammar', 'continue', 'translate'],
+  // Series mode: one request plans and writes several linked articles, one after another
+  // in the same execution (use async mode for anything but short series)
+  SERIES: {
+    MIN_ITEMS: 2,
+    MAX_ITEMS: 10
+  },
+  // Article languages (ISO 639-1 code -> name used in prompts)
+  LANGUAGES: {
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+    pl: 'Polish',
+    tr: 'Turkish',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    ar: 'Arabic',
+    hi: 'Hindi',
+    bn: 'Bengali',
+    id: 'Indonesian',
+    vi: 'Vietnamese',
+    th: 'Thai',
+    ja: 'Japanese',
+    ko: 'Korean',
+    zh: 'Chinese (Simplified)'
+  },
+  DEFAULT_LANGUAGE: 'en',
+  // Articles are translated in chunks of whole sections up to this size
+  TRANSLATION: {
+    CHUNK_CHARS: 12000
+  },
+  // html: free-form HTML from the model; json: schema-constrained result rendered server-side
+  OUTPUT_FORMATS: ['html', 'json'],
   STATUS: {
     IN_PROGRESS: 'inprogress',
     COMPLETED: 'completed',
     FAILED: 'failed'
   },
+  LEDGER_STATUS: {
+    RESERVED: 'reserved',
+    COMMITTED: 'committed',
+    REFUNDED: 'refunded',
+    REJECTED: 'rejected',
+    // The article was delivered but the prefs decrement failed; the entry keeps counting
+    // against the user until a later commit applies the decrement
+    COMMIT_FAILED: 'commit_failed',
+    // Not a reservation: a short-lived per-user lock that serialises prefs decrements
+    LOCKED: 'locked'
+  },
+  // Fine-grained job progress written to the tracking document
+  PROGRESS: {
+    QUEUED: 'queued',
+    FETCHING_SOURCES: 'fetching_sources',
+    OUTLINING: 'outlining',
+    GENERATING: 'generating',
+    VALIDATING: 'validating',
+    FEATURED_IMAGE: 'featured_image',
+    SAVING: 'saving',
+    COMPLETED: 'completed'
+  },
+  // Limits for downloading user-supplied source URLs
+  SOURCES: {
+    MAX_SOURCES: 5,
+    TIMEOUT_MS: 8000,
+    MAX_BYTES: 2 * 1024 * 1024,
+    MAX_REDIRECTS: 3,
+    TOKEN_BUDGET: 6000,
+    // Only for local testing against a loopback HTTP server
+    ALLOW_PRIVATE_HOSTS: process.env.SOURCES_ALLOW_PRIVATE_HOSTS === 'true'
+  },
+  // Moderation gate on the request input and the generated article. A category is
+  // violated when its score (0-1) reaches the threshold; MODERATION_THRESHOLDS (JSON)
+  // overrides individual thresholds.
+  MODERATION: {
+    ENABLED: process.env.MODERATION_ENABLED !== 'false',
+    THRESHOLDS: {
+      hate: 0.5,
+      harassment: 0.6,
+      sexual: 0.5,
+      sexual_minors: 0.1,
+      self_harm: 0.5,
+      violence: 0.7,
+      dangerous: 0.6
+    },
+    // Whether content passes when the classifier itself is unavailable
+    FAIL_OPEN: process.env.MODERATION_FAIL_OPEN === 'true',
+    MAX_CHARS: 30000
+  },
+  // Prompt-injection screening of the request and fetched sources. MODE is "off",
+  // "flag" (record and continue) or "reject" (refuse the request, drop the source);
+  // text is acted on when its detector score reaches THRESHOLD.
+  INJECTION: {
+    MODE: ['off', 'flag', 'reject'].includes(process.env.PROMPT_INJECTION_MODE) ? process.env.PROMPT_INJECTION_MODE : 'flag',
+    THRESHOLD: 3
+  },
+  // Optional featured image: "generate" uses an image model, "stock" searches a stock
+  // photo API. Either way the image is uploaded to ImageKit under FOLDER/<userId>.
+  FEATURED_IMAGE: {
+    MODES: ['generate', 'stock'],
+    MODEL: process.env.FEATURED_IMAGE_MODEL || 'imagen-4.0-generate-001',
+    ASPECT_RATIO: '16:9',
+    STOCK_PROVIDER: process.env.FEATURED_IMAGE_STOCK_PROVIDER || 'unsplash',
+    STOCK_API_KEY: process.env.FEATURED_IMAGE_STOCK_API_KEY,
+    FOLDER: process.env.IMAGEKIT_ARTICLE_FOLDER || '/articles',
+    TIMEOUT_MS: 10000
+  },
+  // Admin usage report (GET /usage): default window and the most records it will read
+  USAGE_REPORT: {
+    DEFAULT_DAYS: 30,
+    MAX_RECORDS: 10000
+  },
+  // Near-duplicate and copied-text check before a new article is saved
+  // (off, flag = report only, reject = fail the generation)
+  SIMILARITY: {
+    MODE: ['off', 'flag', 'reject'].includes(process.env.SIMILARITY_MODE) ? process.env.SIMILARITY_MODE : 'flag',
+    SHINGLE_SIZE: 5,
+    // Resemblance with an existing article at or above this is a near-duplicate
+    DUPLICATE_THRESHOLD: Number(process.env.SIMILARITY_DUPLICATE_THRESHOLD) || 0.5,
+    // Share of the article's shingles found in one source at or above this is copying
+    SOURCE_THRESHOLD: Number(process.env.SIMILARITY_SOURCE_THRESHOLD) || 0.3,
+    USER_ARTICLES: 100,
+    PLATFORM_ARTICLES: 200,
+    REPORT_MATCHES: 5
+  },
+  // Sliding-window request limits per user and per client IP, counted across executions
+  // in the rate limit collection, and a cap on each user's concurrent jobs per tier
+  // (open quota reservations). RATE_LIMITS (JSON) overrides individual entries,
+  // e.g. {"USER":{"LIMIT":20},"CONCURRENCY":{"pro":4}}.
+  RATE_LIMITS: {
+    ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+    USER: { LIMIT: 10, WINDOW_MS: 60 * 1000 },
+    IP: { LIMIT: 30, WINDOW_MS: 60 * 1000 },
+    CONCURRENCY: { basic: 1, pro: 2, ultra: 3 },
+    // Jobs have no known end time, so a concurrency rejection suggests a fixed wait
+    CONCURRENCY_RETRY_AFTER_S: 30,
+    MAX_EVENTS: 500,
+    // Expired events are pruned by roughly one request in ten, a batch at a time
+    CLEANUP_PROBABILITY: 0.1,
+    CLEANUP_BATCH: 25
+  },
+  // Shared secret that authenticates queued async job executions
+  JOB_SECRET: process.env.JOB_SECRET,
+  JOB_HEADER: 'x-createwithai-job-secret',
+  // Reservations older than this are treated as abandoned (crashed or timed-out executions)
+  RESERVATION_TTL_MS: 15 * 60 * 1000,
+  // Commits take a per-user lock before the read-modify-write of prefs; a lock older
+  // than STALE_MS belongs to an execution that died while holding it
+  QUOTA_LOCK: {
+    WAIT_MS: 10000,
+    STALE_MS: 30000,
+    POLL_MS: 150
+  },
   DATABASE_ID: process.env.DATABASE_ID,
   COLLECTIONS: {
     ARTICLES: process.env.ARTICLES_COLLECTION_ID,
-    TRACKING: process.env.TRACKING_COLLECTION_ID
+    REVISIONS: process.env.ARTICLE_REVISIONS_COLLECTION_ID,
+    TRACKING: process.env.TRACKING_COLLECTION_ID,
+    USAGE_LEDGER: process.env.USAGE_LEDGER_COLLECTION_ID,
+    MODERATION_LOG: process.env.MODERATION_LOG_COLLECTION_ID,
+    GENERATION_USAGE: process.env.GENERATION_USAGE_COLLECTION_ID,
+    RATE_LIMITS: process.env.RATE_LIMIT_COLLECTION_ID
   }
 };
 
@@ -42,9 +257,34 @@ try {
 
 const databases = new Databases(client);
 const users = new Users(client);
+const functions = new Functions(client);
+
+if (process.env.MODEL_CHAINS) {
+  try {
+    CONFIG.MODELS = { ...CONFIG.MODELS, ...JSON.parse(process.env.MODEL_CHAINS) };
+  } catch (chainError) {
+    console.error('Ignoring invalid MODEL_CHAINS:', chainError.message);
+  }
+}
+
+if (process.env.MODERATION_THRESHOLDS) {
+  try {
+    CONFIG.MODERATION.THRESHOLDS = { ...CONFIG.MODERATION.THRESHOLDS, ...JSON.parse(process.env.MODERATION_THRESHOLDS) };
+  } catch (thresholdError) {
+    console.error('Ignoring invalid MODERATION_THRESHOLDS:', thresholdError.message);
+  }
+}
 
-// Initialize Gemini
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+if (process.env.RATE_LIMITS) {
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    for (const key of ['USER', 'IP', 'CONCURRENCY']) {
+      CONFIG.RATE_LIMITS[key] = { ...CONFIG.RATE_LIMITS[key], ...overrides[key] };
+    }
+  } catch (limitError) {
+    console.error('Ignoring invalid RATE_LIMITS:', limitError.message);
+  }
+}
 
 // Helper: Get usage field name for request type
 function getUsageFieldForRequestType(requestType) {
@@ -57,6 +297,20 @@ function getUsageFieldForRequestType(requestType) {
 }
 
 
+// Helper: Get provider/model chain for request type
+function getModelChain(requestType) {
+  return CONFIG.MODELS[requestType] || CONFIG.MODELS.basic;
+}
+
+// Helper: 429 response with a Retry-After header the browser is allowed to read
+function sendRateLimited(res, message, retryAfter) {
+  return res.json({ success: false, error: message, retryAfter }, 429, {
+    ...getCORSHeaders(),
+    'Retry-After': String(retryAfter),
+    'Access-Control-Expose-Headers': 'Retry-After'
+  });
+}
+
 // Helper: Get CORS headers
 function getCORSHeaders() {
   return {
@@ -76,215 +330,1937 @@ export default async ({ req, res, log, error }) => {
     });
   }
 
+  // Async jobs re-enter this function as a background execution
+  if (isJobWorkerRequest(req)) {
+    return handleJobWorker(req, res, log, error);
+  }
+
+  if (req.method === 'GET' && req.path === '/usage') {
+    return handleUsageReport(req, res, log, error);
+  }
+
   let trackingId = null;
+  let ownsTracking = false;
+  let reservation = null;
   try {
     log('=== STARTING AI CONTENT GENERATION FUNCTION ===');
     log(`Request timestamp: ${new Date().toISOString()}`);
     log(`Request method: ${req.method}`);
     log(`Request headers: ${JSON.stringify(req.headers)}`);
 
+    // Rate limits are checked before the body is even parsed, so malformed and
+    // invalid requests count too
+    if (CONFIG.RATE_LIMITS.ENABLED) {
+      const limited = await checkRequestRateLimits(req, log, error);
+      if (limited) {
+        return sendRateLimited(res, limited.error, limited.retryAfter);
+      }
+    }
+
     const requestBody = req.body || '{}';
     log(`Raw request body length: ${requestBody.length} characters`);
 
+    let parsedBody;
+    try {
+      parsedBody = JSON.parse(requestBody);
+    } catch (parseError) {
+      error(`Invalid request body: ${parseError.message}`);
+      return res.json({ success: false, error: 'Request body must be valid JSON' }, 400, getCORSHeaders());
+    }
     const {
       prompt, title, sources = [],
-      category, requestType = 'basic', style = 'moderate', trackingId
-    } = JSON.parse(requestBody);
+      category, requestType = 'basic', style = 'moderate', outputFormat = 'html',
+      footnotes = false, featuredImage = false, template: requestedTemplate, async: asyncMode = false,
+      operation = 'create', articleId, instruction = '', sectionIndex, tone, language, count,
+      targetWords = CONFIG.LONGFORM.DEFAULT_WORDS
+    } = parsedBody;
+    trackingId = parsedBody.trackingId;
 
     // Get userId from headers (Appwrite standard)
     const userId = req.headers['x-appwrite-user-id'];
 
     log('=== PARSED REQUEST PARAMETERS ===');
     log(`User ID: ${userId}`);
+    log(`Operation: ${operation}`);
+    log(`Article ID: ${articleId || 'none'}`);
     log(`Title: ${title}`);
     log(`Category: ${category}`);
     log(`Request Type: ${requestType}`);
     log(`Style: ${style}`);
+    log(`Output format: ${outputFormat}`);
+    log(`Language: ${language || 'default'}`);
+    log(`Footnotes: ${footnotes === true}`);
+    log(`Async mode: ${asyncMode === true}`);
     log(`Prompt length: ${prompt ? prompt.length : 0} characters`);
     log(`Sources count: ${sources.length}`);
     log(`Sources: ${JSON.stringify(sources)}`);
 
     // Validation
     log('=== VALIDATING REQUEST PARAMETERS ===');
-    if (!userId || !prompt || !title || !category || !trackingId) {
+    if (!CONFIG.OPERATIONS.includes(operation)) {
+      error(`Invalid operation validation failed: ${operation}`);
+      return res.json({ success: false, error: `Invalid operation. Must be one of: ${CONFIG.OPERATIONS.join(', ')}` }, 400, getCORSHeaders());
+    }
+
+    if (language !== undefined && (typeof language !== 'string' || !Object.hasOwn(CONFIG.LANGUAGES, language))) {
+      error(`Invalid language validation failed: ${language}`);
+      return res.json({ success: false, error: `Invalid language. Must be one of: ${Object.keys(CONFIG.LANGUAGES).join(', ')}` }, 400, getCORSHeaders());
+    }
+
+    if (operation !== 'create' && operation !== 'series') {
+      const revisionError = validateRevisionRequest({ userId, trackingId, articleId, operation, instruction, sectionIndex, tone, language });
+      if (revisionError) {
+        error(`Revision request validation failed: ${revisionError}`);
+        return res.json({ success: false, error: revisionError }, 400, getCORSHeaders());
+      }
+    } else if (!userId || !prompt || !title || !category || !trackingId) {
       error('Missing required fields validation failed');
       log(`Missing fields - userId: ${!!userId}, prompt: ${!!prompt}, title: ${!!title}, category: ${!!category}, trackingId: ${!!trackingId}`);
       return res.json({ success: false, error: 'Missing required fields: userId, prompt, title, category, trackingId' }, 400, getCORSHeaders());
     }
 
+    if (operation === 'series' &&
+        (!Number.isInteger(count) || count < CONFIG.SERIES.MIN_ITEMS || count > CONFIG.SERIES.MAX_ITEMS)) {
+      error(`Invalid series count validation failed: ${count}`);
+      return res.json({ success: false, error: `count must be an integer between ${CONFIG.SERIES.MIN_ITEMS} and ${CONFIG.SERIES.MAX_ITEMS}` }, 400, getCORSHeaders());
+    }
+
     if (!CONFIG.MAX_OUTPUT_TOKENS[style]) {
       error(`Invalid style validation failed: ${style}`);
-      return res.json({ success: false, error: 'Invalid style. Must be concise, moderate, or extended' }, 400, getCORSHeaders());
+      return res.json({ success: false, error: 'Invalid style. Must be concise, moderate, extended, or longform' }, 400, getCORSHeaders());
+    }
+
+    if (style === 'longform') {
+      if (!Number.isInteger(targetWords) || targetWords < CONFIG.LONGFORM.MIN_WORDS || targetWords > CONFIG.LONGFORM.MAX_WORDS) {
+        error(`Invalid targetWords validation failed: ${targetWords}`);
+        return res.json({ success: false, error: `targetWords must be an integer between ${CONFIG.LONGFORM.MIN_WORDS} and ${CONFIG.LONGFORM.MAX_WORDS}` }, 400, getCORSHeaders());
+      }
+      if (outputFormat !== 'html') {
+        error('Long-form mode only supports html output');
+        return res.json({ success: false, error: 'longform style only supports outputFormat html' }, 400, getCORSHeaders());
+      }
+    }
+
+    if (!Array.isArray(sources) || sources.some(source => typeof source !== 'string')) {
+      error('Invalid sources validation failed');
+      return res.json({ success: false, error: 'Invalid sources. Must be an array of URLs' }, 400, getCORSHeaders());
+    }
+
+    if (sources.length > CONFIG.SOURCES.MAX_SOURCES) {
+      error(`Too many sources: ${sources.length}`);
+      return res.json({ success: false, error: `Too many sources. Maximum is ${CONFIG.SOURCES.MAX_SOURCES}` }, 400, getCORSHeaders());
+    }
+
+    if (!CONFIG.OUTPUT_FORMATS.includes(outputFormat)) {
+      error(`Invalid output format validation failed: ${outputFormat}`);
+      return res.json({ success: false, error: 'Invalid outputFormat. Must be html or json' }, 400, getCORSHeaders());
+    }
+
+    const templateChoice = resolveTemplate(requestedTemplate, category);
+    if (!templateChoice.success) {
+      error(`Invalid template validation failed: ${requestedTemplate}`);
+      return res.json({ success: false, error: templateChoice.error }, 400, getCORSHeaders());
+    }
+    log(`Article template: ${templateChoice.templateId}`);
+
+    if (featuredImage !== false) {
+      if (!CONFIG.FEATURED_IMAGE.MODES.includes(featuredImage)) {
+        error(`Invalid featuredImage validation failed: ${featuredImage}`);
+        return res.json({ success: false, error: 'Invalid featuredImage. Must be false, generate, or stock' }, 400, getCORSHeaders());
+      }
+      if (!isImageKitConfigured()) {
+        error('Featured image requested but ImageKit is not configured');
+        return res.json({ success: false, error: 'Featured images are not available' }, 400, getCORSHeaders());
+      }
+    }
+
+    if (asyncMode === true && !CONFIG.JOB_SECRET) {
+      error('Async mode requested but JOB_SECRET is not configured');
+      return res.json({ success: false, error: 'Async mode is not available' }, 400, getCORSHeaders());
     }
 
     log('✓ All request parameters validated successfully');
 
-    // 1. Check user prefs
-    log('=== STEP 1: CHECKING USER PREFERENCES ===');
-    const canProceed = await checkUserPreferences(userId, requestType, log, error);
-    if (!canProceed.success) {
-      error(`User preference check failed: ${canProceed.error}`);
-      return res.json({ success: false, error: canProceed.error }, 403, getCORSHeaders());
+    // 0. Idempotency: look at the tracking document before doing any work
+    log('=== STEP 0: CHECKING EXISTING TRACKING STATE ===');
+    const trackingLookup = await getTrackingDocument(trackingId, log, error);
+    if (!trackingLookup.success) {
+      error(`Tracking lookup failed: ${trackingLookup.error}`);
+      return res.json({ success: false, error: trackingLookup.error }, trackingLookup.notFound ? 404 : 500, getCORSHeaders());
+    }
+
+    const trackingDoc = trackingLookup.document;
+    if (trackingDoc.status === CONFIG.STATUS.COMPLETED && trackingDoc.postId) {
+      log(`Tracking ${trackingId} already completed with article ${trackingDoc.postId}, returning existing result`);
+      return res.json({
+        success: true,
+        message: 'Article already generated',
+        trackingId: trackingId,
+        articleId: trackingDoc.postId,
+        duplicate: true
+      }, 200, getCORSHeaders());
+    }
+
+    // Clients create tracking documents as "inprogress" before calling, so the status
+    // alone cannot mean a job is running: a document no attempt has claimed yet
+    // (attempts missing or 0) is a fresh job. Every claim records its attempt number.
+    const claimed = (trackingDoc.attempts || 0) > 0;
+    if (trackingDoc.status === CONFIG.STATUS.IN_PROGRESS && claimed && !isStaleTracking(trackingDoc)) {
+      error(`Tracking ${trackingId} is already in progress`);
+      return res.json({ success: false, error: 'This request is already being processed' }, 409, getCORSHeaders());
+    }
+
+    const attempt = (trackingDoc.attempts || 0) + 1;
+    log(`✓ Starting attempt ${attempt} for tracking ${trackingId} (previous status: ${trackingDoc.status || 'none'})`);
+
+    const inputText = operation === 'create' || operation === 'series'
+      ? `${title}\n\n${prompt}`
+      : [instruction, tone].filter(value => typeof value === 'string' && value.trim()).join('\n\n');
+
+    // 0b. Screen the request for prompt injection
+    if (CONFIG.INJECTION.MODE !== 'off') {
+      log('=== STEP 0b: SCREENING INPUT FOR PROMPT INJECTION ===');
+      const injection = detectInjection(inputText);
+      if (injection.score >= CONFIG.INJECTION.THRESHOLD) {
+        const rejected = CONFIG.INJECTION.MODE === 'reject';
+        error(`Possible prompt injection (score ${injection.score}: ${injection.matches.join(', ')})${rejected ? ', rejecting' : ''}`);
+        const injectionReport = JSON.stringify({ ...injection, action: rejected ? 'rejected' : 'flagged' });
+        if (rejected) {
+          const injectionError = 'Request rejected: the prompt contains instructions aimed at the AI model';
+          await updateTrackingFields(trackingId, {
+            status: CONFIG.STATUS.FAILED,
+            error: injectionError,
+            attempts: attempt,
+            injectionReport
+          }, log, error);
+          return res.json({ success: false, error: injectionError }, 400, getCORSHeaders());
+        }
+        await updateTrackingFields(trackingId, { injectionReport }, log, error);
+      } else {
+        log(`✓ No prompt injection detected (score ${injection.score})`);
+      }
+    }
+
+    // 0c. Moderate the request before any quota is reserved
+    log('=== STEP 0c: MODERATING INPUT ===');
+    const inputModeration = await moderateContent('input', inputText, { userId, trackingId, requestType }, log, error);
+    if (!inputModeration.allowed) {
+      // Nothing was reserved, so the user is not charged for this attempt
+      await updateTrackingFields(trackingId, {
+        status: CONFIG.STATUS.FAILED,
+        error: inputModeration.reason,
+        attempts: attempt,
+        moderationReport: JSON.stringify(inputModeration.report)
+      }, log, error);
+      return res.json({ success: false, error: inputModeration.reason }, inputModeration.statusCode, getCORSHeaders());
+    }
+    log('✓ Input passed moderation');
+
+    // 1. Reserve quota (held in the usage ledger until commit or refund). A series
+    // claims its first use here like any job, which also guards it against duplicate
+    // requests and the concurrency cap; it reserves the rest one article at a time.
+    log('=== STEP 1: RESERVING USER QUOTA ===');
+    const reserveResult = await reserveUserQuota(userId, requestType, trackingId, attempt, log, error);
+    if (!reserveResult.success) {
+      error(`Quota reservation failed: ${reserveResult.error}`);
+      if (!reserveResult.conflict) {
+        // This attempt is spent; record it so a retry gets a fresh ledger entry
+        await updateTrackingFields(trackingId, {
+          status: CONFIG.STATUS.FAILED,
+          error: reserveResult.error,
+          attempts: attempt
+        }, log, error);
+      }
+      if (reserveResult.rateLimited) {
+        return sendRateLimited(res, reserveResult.error, reserveResult.retryAfter);
+      }
+      return res.json({ success: false, error: reserveResult.error }, reserveResult.conflict ? 409 : reserveResult.statusCode || 403, getCORSHeaders());
     }
-    log('✓ User preferences check passed');
+    reservation = reserveResult.reservation || null;
+    ownsTracking = true;
+    log('✓ User quota reserved');
 
     // 2. Update tracking document status to inprogress
     log('=== STEP 2: UPDATING TRACKING DOCUMENT STATUS TO INPROGRESS ===');
-    await updateTrackingStatus(trackingId, CONFIG.STATUS.IN_PROGRESS, '', null, log, error);
+    await updateTrackingFields(trackingId, {
+      status: CONFIG.STATUS.IN_PROGRESS,
+      error: '',
+      attempts: attempt,
+      progressStage: CONFIG.PROGRESS.QUEUED,
+      progress: 0,
+      progressMessage: 'Waiting to start'
+    }, log, error);
     log(`✓ Tracking document ${trackingId} status updated to inprogress`);
 
-    // 3. Generate content (Gemini)
-    log('=== STEP 3: GENERATING CONTENT WITH GEMINI ===');
-    let generatedContent = await generateArticleContent(
-      prompt, title, sources, category, requestType, style, log, error
-    );
+    const job = {
+      userId, trackingId, attempt, prompt, title, sources, category, requestType, style, outputFormat,
+      footnotes: footnotes === true, featuredImage, template: templateChoice.templateId,
+      language: language || (operation === 'create' || operation === 'series' ? CONFIG.DEFAULT_LANGUAGE : undefined),
+      operation, articleId, instruction, sectionIndex, tone, targetWords, count, reservation
+    };
+
+    if (asyncMode === true) {
+      log('=== ASYNC MODE: QUEUEING GENERATION JOB ===');
+      const queued = await enqueueGenerationJob(job, log, error);
+      if (!queued.success) {
+        const queueError = `Failed to queue generation job: ${queued.error}`;
+        error(queueError);
+        await refundQuotaReservation(reservation, queueError, log, error);
+        await setTrackingStatusToFailed(trackingId, queueError, log, error);
+        return res.json({ success: false, error: queueError }, 500, getCORSHeaders());
+      }
+      log(`✓ Generation job queued as execution ${queued.executionId}`);
+
+      return res.json({
+        success: true,
+        message: 'Article generation queued',
+        trackingId: trackingId,
+        status: CONFIG.PROGRESS.QUEUED
+      }, 202, getCORSHeaders());
+    }
+
+    // The pipeline settles the reservation and tracking document itself from here on
+    reservation = null;
+    ownsTracking = false;
+    const result = await runJob(job, log, error);
+    return res.json(result.body, result.statusCode, getCORSHeaders());
+
+  } catch (err) {
+    error(`=== FATAL FUNCTION ERROR ===`);
+    error(`Error timestamp: ${new Date().toISOString()}`);
+    error(`Error message: ${err.message}`);
+    error(`Error stack: ${err.stack}`);
+
+    if (reservation) {
+      await refundQuotaReservation(reservation, err.message, log, error);
+    }
+
+    // Only touch the tracking document if this execution claimed it
+    if (trackingId && ownsTracking) {
+      log(`Updating tracking document ${trackingId} with error status`);
+      await setTrackingStatusToFailed(trackingId, err.message, log, error);
+    }
+
+    return res.json({ success: false, error: err.message }, 500, getCORSHeaders());
+  }
+};
+
+function runJob(job, log, error) {
+  if (job.operation === 'series') {
+    return runSeriesJob(job, log, error);
+  }
+  if (job.operation === 'translate') {
+    return runTranslationJob(job, log, error);
+  }
+  return job.operation && job.operation !== 'create'
+    ? runRevisionJob(job, log, error)
+    : runGenerationJob(job, log, error);
+}
+
+// Generation pipeline shared by sync requests and async job executions.
+// Owns the quota reservation and tracking document for the job: every exit
+// either commits and completes, or refunds and fails.
+async function runGenerationJob(job, log, error) {
+  const { userId, trackingId, title, sources, category, outputFormat = 'html', reservation } = job;
+
+  const fail = async (message, statusCode = 500) => {
+    error(message);
+    await refundQuotaReservation(reservation, message, log, error);
+    await setTrackingStatusToFailed(trackingId, message, log, error);
+    return { statusCode, body: { success: false, error: message } };
+  };
+
+  try {
+    // 2b. Fetch and extract sources so the model sees their content, not bare URLs
+    if (sources && sources.length > 0) {
+      log('=== STEP 2b: FETCHING SOURCES ===');
+      await reportProgress(trackingId, CONFIG.PROGRESS.FETCHING_SOURCES, 5, `Reading ${sources.length} sources`, log, error);
+      job.sourceExcerpts = await fetchSources(sources, {
+        timeoutMs: CONFIG.SOURCES.TIMEOUT_MS,
+        maxBytes: CONFIG.SOURCES.MAX_BYTES,
+        maxRedirects: CONFIG.SOURCES.MAX_REDIRECTS,
+        tokenBudget: CONFIG.SOURCES.TOKEN_BUDGET,
+        allowPrivateHosts: CONFIG.SOURCES.ALLOW_PRIVATE_HOSTS
+      }, log, error);
+      screenSourcesForInjection(job.sourceExcerpts, log, error);
+
+      const sourceReport = job.sourceExcerpts.map(({ excerpt, ...status }) => status);
+      await updateTrackingFields(trackingId, { sourceReport: JSON.stringify(sourceReport) }, log, error);
+      log(`✓ ${sourceReport.filter(source => source.status === 'ok').length} of ${sources.length} sources fetched`);
+    }
+
+    // 3. Generate content (provider chain)
+    log('=== STEP 3: GENERATING CONTENT ===');
+    if (job.style === 'longform') {
+      await reportProgress(trackingId, CONFIG.PROGRESS.OUTLINING, 10, 'Planning article outline', log, error);
+    } else {
+      await reportProgress(trackingId, CONFIG.PROGRESS.GENERATING, 10, 'Starting generation', log, error);
+    }
+    const onSectionProgress = (section, totalSections) => {
+      const shownSection = Math.min(section, totalSections);
+      const percent = 10 + Math.round((60 * (shownSection - 1)) / totalSections);
+      return reportProgress(
+        trackingId, CONFIG.PROGRESS.GENERATING, percent,
+        `Generating section ${shownSection} of ${totalSections}`, log, error
+      );
+    };
+
+    let generatedContent = await generateArticleContent(job, log, error, onSectionProgress);
+    await recordProviderUsage(trackingId, generatedContent, log, error);
     if (!generatedContent.success) {
-      error(`Content generation failed: ${generatedContent.error}`);
-      await setTrackingStatusToFailed(trackingId, generatedContent.error, log, error);
-      return res.json({ success: false, error: generatedContent.error }, 500, getCORSHeaders());
+      return fail(generatedContent.error);
     }
     log(`✓ Content generated successfully, length: ${generatedContent.content.length} characters`);
 
+    // 3b. Structured mode: validate the JSON result and render it to TinyMCE HTML
+    const articleFields = { template: getTemplate(job.template).id, language: job.language };
+    if (job.series) {
+      articleFields.seriesId = job.series.id;
+      articleFields.seriesOrder = job.series.order;
+    }
+    if (outputFormat === 'json') {
+      log('=== STEP 3b: RENDERING STRUCTURED ARTICLE ===');
+      const structured = parseStructuredArticle(generatedContent.content);
+      if (!structured.success) {
+        return fail(structured.error);
+      }
+      generatedContent.content = renderStructuredArticle(structured.article);
+      articleFields.summary = structured.article.summary;
+      articleFields.tags = structured.article.tags;
+      articleFields.faq = JSON.stringify(structured.article.faq);
+      articleFields.sections = JSON.stringify(structured.article.sections);
+      log(`✓ Rendered ${structured.article.sections.length} sections, ${structured.article.faq.length} FAQ entries`);
+    }
+
+    // 4. Sanitize and repair HTML (allowlisted tags/classes, trusted stylesheet)
+    log('=== STEP 4: SANITIZING HTML CONTENT ===');
+    await reportProgress(trackingId, CONFIG.PROGRESS.VALIDATING, 75, 'Validating article', log, error);
+    const sanitized = sanitizeArticleHTML(generatedContent.content, {
+      stylesheet: ARTICLE_STYLESHEET,
+      allowedClasses: getTemplateClasses(getTemplate(job.template))
+    });
+    log(`Sanitizer report: ${JSON.stringify(sanitized.report)}`);
+    await updateTrackingFields(trackingId, { sanitizerReport: JSON.stringify(sanitized.report) }, log, error);
+    generatedContent.content = sanitized.html;
+    log(`✓ HTML sanitized${sanitized.report.changed ? ' (content was modified)' : ''}, length: ${sanitized.html.length} characters`);
 
     // 5. Validate HTML (must contain <h2> or <p>)
     log('=== STEP 5: VALIDATING HTML CONTENT ===');
     if (!isValidHTMLContent(generatedContent.content)) {
-      const validationError = 'Content validation failed: must include <h2> or <p> tags for TinyMCE compatibility';
-      error(validationError);
-      await setTrackingStatusToFailed(trackingId, validationError, log, error);
-      return res.json({ success: false, error: validationError }, 500, getCORSHeaders());
+      return fail('Content validation failed: must include <h2> or <p> tags for TinyMCE compatibility');
     }
     log('✓ HTML content validation passed');
 
+    // 5a. Moderate the generated article before it is stored
+    log('=== STEP 5a: MODERATING OUTPUT ===');
+    const outputModeration = await moderateContent('output', extractPlainText(generatedContent.content), job, log, error);
+    if (!outputModeration.allowed) {
+      await updateTrackingFields(trackingId, { moderationReport: JSON.stringify(outputModeration.report) }, log, error);
+      return fail(outputModeration.reason, outputModeration.statusCode);
+    }
+    log('✓ Output passed moderation');
+
+    // 5b. Compare with existing articles and source text
+    log('=== STEP 5b: CHECKING SIMILARITY ===');
+    const similarity = await checkSimilarity(job, generatedContent.content, log, error);
+    if (similarity.report) {
+      await updateTrackingFields(trackingId, { similarityReport: JSON.stringify(similarity.report) }, log, error);
+    }
+    if (!similarity.allowed) {
+      return fail(similarity.reason, 422);
+    }
+
+    // 5c. SEO and listing metadata, computed before footnotes are added
+    log('=== STEP 5c: BUILDING SEO METADATA ===');
+    const seo = buildSEOMetadata(generatedContent.content, {
+      title, category, summary: articleFields.summary, tags: articleFields.tags
+    });
+    Object.assign(articleFields, seo);
+    articleFields.slug = await generateUniqueSlug(title, log, error);
+    log(`✓ SEO metadata: slug "${articleFields.slug}", ${seo.wordCount} words, ${seo.readingTime} min read, keywords: ${seo.keywords.join(', ')}`);
+
+    // 5d. Keep grounding sources as references (and footnotes when requested)
+    if (generatedContent.groundingMetadata) {
+      const citations = extractCitations(generatedContent.groundingMetadata);
+      log(`Grounding produced ${citations.references.length} references, ${citations.supports.length} supported segments`);
+      if (citations.references.length > 0) {
+        articleFields.references = JSON.stringify(citations.references);
+        if (job.footnotes) {
+          const footnoted = renderFootnotes(generatedContent.content, citations);
+          generatedContent.content = footnoted.html;
+          log(`✓ Placed ${footnoted.placed} footnote markers`);
+        }
+      }
+    }
+
+    // 5e. Featured image (optional; the article is still saved without one if this fails)
+    let featuredImageFileId = null;
+    if (job.featuredImage) {
+      log('=== STEP 5e: CREATING FEATURED IMAGE ===');
+      await reportProgress(trackingId, CONFIG.PROGRESS.FEATURED_IMAGE, 85, 'Creating featured image', log, error);
+      const image = await createFeaturedImage(job, articleFields, log, error);
+      await updateTrackingFields(trackingId, { featuredImageReport: JSON.stringify(image.report) }, log, error);
+      if (image.success) {
+        featuredImageFileId = image.fileId;
+        articleFields.featuredimage = image.url;
+        articleFields.featuredImageFileId = image.fileId;
+        articleFields.featuredImageAlt = image.altText;
+        log(`✓ Featured image uploaded: ${image.url}`);
+      }
+    }
+
     // 6. Create article (status: inactive)
     log('=== STEP 6: CREATING ARTICLE DOCUMENT ===');
+    await reportProgress(trackingId, CONFIG.PROGRESS.SAVING, 90, 'Saving article', log, error);
     const userDetails = await getUserDetails(userId, log, error);
     log(`Author details retrieved: ${userDetails.authorName}`);
 
     const articleDoc = await createArticleDocument(
-      userId, title, generatedContent.content, category, sources, userDetails.authorName, log, error
+      userId, title, generatedContent.content, category, sources, userDetails.authorName, articleFields, log, error
     );
     if (!articleDoc.success) {
-      error('Failed to create article document');
-      await setTrackingStatusToFailed(trackingId, 'Failed to create article document', log, error);
-      return res.json({ success: false, error: 'Failed to create article document' }, 500, getCORSHeaders());
+      if (featuredImageFileId) {
+        await deleteImage(featuredImageFileId).catch(err => error(`Failed to delete orphaned featured image: ${err.message}`));
+      }
+      return fail('Failed to create article document');
     }
     log(`✓ Article document created with ID: ${articleDoc.documentId}`);
 
-    // 7. update tracking (completed, clear error, link postId)
-    log('=== STEP 7: UPDATING TRACKING STATUS TO COMPLETED ===');
-    await updateTrackingStatus(trackingId, CONFIG.STATUS.COMPLETED, '', articleDoc.documentId, log, error);
-    log('✓ Tracking status updated to completed');
+    // 7. commit quota reservation (decrement prefs, settle ledger entry)
+    log('=== STEP 7: COMMITTING QUOTA RESERVATION ===');
+    // The article is saved either way; a failed commit is reported, not refunded
+    const committed = await commitQuotaReservation(reservation, log, error);
+    if (committed.success) log('✓ User quota committed');
 
-    // 8. decrement quota
-    log('=== STEP 8: DECREMENTING USER QUOTA ===');
-    await decrementUserQuota(userId, requestType, log, error);
-    log('✓ User quota decremented');
+    // 8. update tracking (completed, link postId; error only records a failed commit)
+    log('=== STEP 8: UPDATING TRACKING STATUS TO COMPLETED ===');
+    await updateTrackingStatus(trackingId, CONFIG.STATUS.COMPLETED, committed.error || '', articleDoc.documentId, log, error);
+    await reportProgress(trackingId, CONFIG.PROGRESS.COMPLETED, 100, 'Article ready', log, error);
+    log('✓ Tracking status updated to completed');
 
     log('=== AI CONTENT GENERATION COMPLETED SUCCESSFULLY ===');
     log(`Total execution completed at: ${new Date().toISOString()}`);
 
-    return res.json({
-      success: true,
-      message: 'Article generated successfully',
-      trackingId: trackingId,
-      articleId: articleDoc.documentId
-    }, 200, getCORSHeaders());
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Article generated successfully',
+        trackingId: trackingId,
+        articleId: articleDoc.documentId
+      }
+    };
+  } catch (err) {
+    error(`Error stack: ${err.stack}`);
+    return fail(err.message);
+  }
+}
+
+// Series pipeline: plan the series, then run each article through runGenerationJob with
+// its own tracking document (derived from the series trackingId) and quota reservation.
+// The reservation made for the series request is spent on the first article that needs
+// generating; later articles reserve their own. Items that completed in an earlier
+// attempt are kept, so a retry only redoes failures.
+async function runSeriesJob(job, log, error) {
+  const { userId, trackingId, title, count, requestType } = job;
+  const seriesId = trackingId;
+  let seriesReservation = job.reservation;
+
+  const fail = async (message, statusCode = 500) => {
+    error(message);
+    await refundQuotaReservation(seriesReservation, message, log, error);
+    seriesReservation = null;
+    await setTrackingStatusToFailed(trackingId, message, log, error);
+    return { statusCode, body: { success: false, error: message } };
+  };
+
+  try {
+    // 3. Plan the series: one title and summary per article
+    log(`=== STEP 3: PLANNING SERIES OF ${count} ARTICLES ===`);
+    await reportProgress(trackingId, CONFIG.PROGRESS.OUTLINING, 5, 'Planning series', log, error);
+    const outline = await generateSeriesOutline(job, log, error);
+    if (!outline.success) {
+      return fail(outline.error);
+    }
+    log(`✓ Series planned: ${outline.articles.map(article => article.title).join(' | ')}`);
+
+    const items = outline.articles.map((article, index) => ({
+      order: index + 1,
+      title: article.title,
+      trackingId: getSeriesItemTrackingId(trackingId, index + 1),
+      status: 'pending',
+      articleId: null,
+      error: ''
+    }));
+    const saveReport = () => updateTrackingFields(trackingId, {
+      seriesReport: JSON.stringify({ seriesId, count, items })
+    }, log, error);
+    await saveReport();
+
+    // 4. Generate the articles in order
+    let quotaError = '';
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      log(`=== STEP 4.${item.order}: SERIES ARTICLE ${item.order} OF ${count} ===`);
+      await reportProgress(
+        trackingId, CONFIG.PROGRESS.GENERATING, 10 + Math.round((85 * index) / count),
+        `Generating article ${item.order} of ${count}`, log, error
+      );
+
+      if (quotaError) {
+        Object.assign(item, { status: CONFIG.STATUS.FAILED, error: quotaError });
+        await saveReport();
+        continue;
+      }
+
+      const itemTracking = await getOrCreateSeriesItemTracking(item.trackingId, seriesId, item.order, log, error);
+      if (!itemTracking.success) {
+        Object.assign(item, { status: CONFIG.STATUS.FAILED, error: itemTracking.error });
+        await saveReport();
+        continue;
+      }
+      if (itemTracking.document.status === CONFIG.STATUS.COMPLETED && itemTracking.document.postId) {
+        log(`Series article ${item.order} already exists as ${itemTracking.document.postId}`);
+        Object.assign(item, { status: CONFIG.STATUS.COMPLETED, articleId: itemTracking.document.postId });
+        await saveReport();
+        continue;
+      }
+
+      const itemAttempt = (itemTracking.document.attempts || 0) + 1;
+      const reserved = seriesReservation
+        ? { success: true, reservation: seriesReservation }
+        : await reserveUserQuota(userId, requestType, item.trackingId, itemAttempt, log, error);
+      seriesReservation = null;
+      if (!reserved.success) {
+        // A conflict means this item is already being generated elsewhere; anything
+        // else (no uses left, concurrency cap) also applies to the items after it
+        if (!reserved.conflict) quotaError = reserved.error;
+        await updateTrackingFields(item.trackingId, { status: CONFIG.STATUS.FAILED, error: reserved.error, attempts: itemAttempt }, log, error);
+        Object.assign(item, { status: CONFIG.STATUS.FAILED, error: reserved.error });
+        await saveReport();
+        continue;
+      }
+      await updateTrackingFields(item.trackingId, { status: CONFIG.STATUS.IN_PROGRESS, error: '', attempts: itemAttempt }, log, error);
+
+      const result = await runGenerationJob({
+        ...job,
+        operation: 'create',
+        trackingId: item.trackingId,
+        attempt: itemAttempt,
+        title: item.title,
+        prompt: buildSeriesItemPrompt(job, outline.articles, index),
+        series: { id: seriesId, order: item.order },
+        reservation: reserved.reservation
+      }, log, error);
+
+      Object.assign(item, result.body.success
+        ? { status: CONFIG.STATUS.COMPLETED, articleId: result.body.articleId, error: '' }
+        : { status: CONFIG.STATUS.FAILED, error: result.body.error });
+      await saveReport();
+    }
 
+    // Every article already existed: the series reservation was never spent
+    if (seriesReservation) {
+      await refundQuotaReservation(seriesReservation, 'All series articles already exist', log, error);
+      seriesReservation = null;
+    }
+
+    // 5. Summarize
+    const created = items.filter(item => item.status === CONFIG.STATUS.COMPLETED);
+    const failedCount = items.length - created.length;
+    log(`=== SERIES FINISHED: ${created.length} of ${count} articles created ===`);
+    if (failedCount === 0) {
+      await updateTrackingStatus(trackingId, CONFIG.STATUS.COMPLETED, '', created[0].articleId, log, error);
+      await reportProgress(trackingId, CONFIG.PROGRESS.COMPLETED, 100, 'Series ready', log, error);
+    } else {
+      await setTrackingStatusToFailed(trackingId, `${failedCount} of ${count} series articles failed`, log, error);
+    }
+
+    return {
+      statusCode: failedCount === 0 ? 200 : created.length > 0 ? 207 : 500,
+      body: {
+        success: failedCount === 0,
+        message: failedCount === 0 ? 'Series generated successfully' : `${failedCount} of ${count} series articles failed`,
+        trackingId,
+        seriesId,
+        items
+      }
+    };
+  } catch (err) {
+    error(`Error stack: ${err.stack}`);
+    return fail(err.message);
+  }
+}
+
+async function generateSeriesOutline(job, log, error) {
+  const { title, category, count, requestType } = job;
+  const template = getTemplate(job.template);
+  const languageName = CONFIG.LANGUAGES[job.language] || CONFIG.LANGUAGES[CONFIG.DEFAULT_LANGUAGE];
+
+  const seriesPrompt = `You are ${getTemplatePersona(template, category)} planning a series of ${count} blog articles titled "${inlineUntrusted(title)}".
+
+**Task:** Give each article a title and a two or three sentence summary, in reading order.
+- Each article must stand on its own but build on the ones before it
+- Articles must not overlap: give every topic to exactly one article
+- Write the titles and summaries in ${languageName}`;
+
+  const generation = await generateWithFallback(getModelChain(requestType), {
+    ...buildCompletePrompt(seriesPrompt, job.prompt, [], null),
+    temperature: 0.5,
+    maxOutputTokens: 2000,
+    useSearch: false,
+    responseSchema: SERIES_OUTLINE_SCHEMA
+  }, log, error);
+  await recordProviderUsage(job.trackingId, generation, log, error);
+  await recordGenerationUsage(job, 'series_outline', generation, log, error);
+  if (!generation.success) {
+    return { success: false, error: `Failed to plan series: ${generation.error}` };
+  }
+  return parseSeriesOutline(generation.text, count);
+}
+
+// The item's user prompt: the series brief plus the plan, so articles do not repeat each other
+function buildSeriesItemPrompt(job, articles, index) {
+  const plan = articles
+    .map((article, position) => `${position + 1}. ${article.title}${position === index ? ' (this article)' : ''}: ${article.summary}`)
+    .join('\n');
+
+  return `This is article ${index + 1} of ${articles.length} in the series "${job.title}".
+
+Series brief:
+${job.prompt}
+
+Series plan:
+${plan}
+
+Write only article ${index + 1}: cover its summary in depth, refer to the other articles instead of repeating what they cover.`;
+}
+
+// Deterministic tracking document ID for a series item, so a retried series finds its items
+function getSeriesItemTrackingId(trackingId, order) {
+  return createHash('sha1').update(`${trackingId}:series:${order}`).digest('hex').substring(0, 36);
+}
+
+async function getOrCreateSeriesItemTracking(itemTrackingId, seriesId, order, log, error) {
+  const lookup = await getTrackingDocument(itemTrackingId, log, error);
+  if (lookup.success || !lookup.notFound) {
+    return lookup;
+  }
+
+  try {
+    const document = await databases.createDocument(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.TRACKING,
+      itemTrackingId,
+      { status: CONFIG.STATUS.IN_PROGRESS, error: '', attempts: 0, seriesId, seriesOrder: order }
+    );
+    log(`Created tracking document ${itemTrackingId} for series article ${order}`);
+    return { success: true, document };
+  } catch (err) {
+    error(`Series tracking document error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+// Revision operations on an existing article
+function validateRevisionRequest({ userId, trackingId, articleId, operation, instruction, sectionIndex, tone, language }) {
+  if (!userId || !trackingId || !articleId) {
+    return 'Missing required fields: userId, trackingId, articleId';
+  }
+  if (operation === 'rewrite_section' && (!Number.isInteger(sectionIndex) || sectionIndex < 1)) {
+    return 'rewrite_section requires a 1-based integer sectionIndex';
+  }
+  if (operation === 'change_tone' && (!tone || typeof tone !== 'string')) {
+    return 'change_tone requires a tone';
+  }
+  if (operation === 'translate' && !language) {
+    return 'translate requires a target language';
+  }
+  if (typeof instruction !== 'string' || instruction.length > 2000) {
+    return 'instruction must be a string of at most 2000 characters';
+  }
+  return null;
+}
+
+// Same pipeline contract as runGenerationJob: owns reservation and tracking document.
+// The previous and new content are both kept in the revisions collection.
+async function runRevisionJob(job, log, error) {
+  const { userId, trackingId, articleId, operation, sectionIndex, reservation } = job;
+
+  const fail = async (message, statusCode = 500) => {
+    error(message);
+    await refundQuotaReservation(reservation, message, log, error);
+    await setTrackingStatusToFailed(trackingId, message, log, error);
+    return { statusCode, body: { success: false, error: message } };
+  };
+
+  try {
+    // 3. Load the article and verify ownership
+    log('=== STEP 3: LOADING ARTICLE FOR REVISION ===');
+    const lookup = await getOwnedArticle(articleId, userId, log, error);
+    if (!lookup.success) {
+      return fail(lookup.error, lookup.statusCode);
+    }
+    const article = lookup.article;
+
+    const { intro, sections } = splitArticleSections(article.content || '');
+    let target = [intro, ...sections].join('');
+    if (operation === 'rewrite_section') {
+      if (sectionIndex > sections.length) {
+        return fail(`Article has ${sections.length} sections, cannot rewrite section ${sectionIndex}`, 400);
+      }
+      target = sections[sectionIndex - 1];
+    }
+
+    // 4. Apply the revision with the model
+    log(`=== STEP 4: APPLYING ${operation.toUpperCase()} ===`);
+    await reportProgress(trackingId, CONFIG.PROGRESS.GENERATING, 10, `Applying ${operation.replace('_', ' ')}`, log, error);
+    const contents = [
+      { role: 'user', parts: [{ text: `${operation === 'rewrite_section' ? 'SECTION' : 'ARTICLE'}:\n${wrapUntrusted('article', target)}` }] }
+    ];
+    if (job.instruction) {
+      contents.push({ role: 'user', parts: [{ text: `USER INSTRUCTIONS:\n${wrapUntrusted('user_request', job.instruction)}` }] });
+    }
+    const generation = await generateWithFallback(getModelChain(job.requestType), {
+      systemInstruction: buildRevisionPrompt(job, article),
+      contents,
+      temperature: 0.5,
+      maxOutputTokens: CONFIG.MAX_OUTPUT_TOKENS.extended,
+      useSearch: false
+    }, log, error);
+    await recordProviderUsage(trackingId, generation, log, error);
+    await recordGenerationUsage(job, 'revision', generation, log, error);
+
+    if (!generation.success || !generation.text || !generation.text.trim()) {
+      return fail(`Failed to revise article: ${generation.error || 'empty response'}`);
+    }
+
+    let revisedBody;
+    if (operation === 'rewrite_section') {
+      const revisedSections = [...sections];
+      revisedSections[sectionIndex - 1] = generation.text;
+      revisedBody = [intro, ...revisedSections].join('\n');
+    } else if (operation === 'continue') {
+      revisedBody = `${target}\n${generation.text}`;
+    } else {
+      revisedBody = generation.text;
+    }
+
+    // 5. Sanitize and validate the full revised article
+    log('=== STEP 5: SANITIZING AND VALIDATING REVISION ===');
+    await reportProgress(trackingId, CONFIG.PROGRESS.VALIDATING, 75, 'Validating revision', log, error);
+    const sanitized = sanitizeArticleHTML(revisedBody, {
+      stylesheet: ARTICLE_STYLESHEET,
+      allowedClasses: getTemplateClasses(getTemplate(article.template))
+    });
+    await updateTrackingFields(trackingId, { sanitizerReport: JSON.stringify(sanitized.report) }, log, error);
+    if (!isValidHTMLContent(sanitized.html)) {
+      return fail('Content validation failed: must include <h2> or <p> tags for TinyMCE compatibility');
+    }
+
+    const outputModeration = await moderateContent('output', extractPlainText(sanitized.html), job, log, error);
+    if (!outputModeration.allowed) {
+      await updateTrackingFields(trackingId, { moderationReport: JSON.stringify(outputModeration.report) }, log, error);
+      return fail(outputModeration.reason, outputModeration.statusCode);
+    }
+
+    // 6. Save the revision
+    log('=== STEP 6: SAVING REVISION ===');
+    await reportProgress(trackingId, CONFIG.PROGRESS.SAVING, 90, 'Saving revision', log, error);
+    const saved = await saveArticleRevision(article, sanitized.html, job, log, error);
+    if (!saved.success) {
+      return fail('Failed to save article revision');
+    }
+    log(`✓ Article ${articleId} updated to revision ${saved.revision}`);
+
+    // 7. commit quota reservation
+    log('=== STEP 7: COMMITTING QUOTA RESERVATION ===');
+    const committed = await commitQuotaReservation(reservation, log, error);
+
+    // 8. update tracking
+    log('=== STEP 8: UPDATING TRACKING STATUS TO COMPLETED ===');
+    await updateTrackingStatus(trackingId, CONFIG.STATUS.COMPLETED, committed.error || '', articleId, log, error);
+    await reportProgress(trackingId, CONFIG.PROGRESS.COMPLETED, 100, 'Revision ready', log, error);
+
+    log('=== ARTICLE REVISION COMPLETED SUCCESSFULLY ===');
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Article revised successfully',
+        trackingId: trackingId,
+        articleId: articleId,
+        revision: saved.revision
+      }
+    };
   } catch (err) {
-    error(`=== FATAL FUNCTION ERROR ===`);
-    error(`Error timestamp: ${new Date().toISOString()}`);
-    error(`Error message: ${err.message}`);
     error(`Error stack: ${err.stack}`);
+    return fail(err.message);
+  }
+}
+
+// Translate an article into a new, linked article in another language. Same pipeline
+// contract as runGenerationJob. Translations share a translationGroupId (the original
+// article's ID), which is also set on the source the first time it is translated.
+async function runTranslationJob(job, log, error) {
+  const { userId, trackingId, articleId, language, reservation } = job;
+
+  const fail = async (message, statusCode = 500) => {
+    error(message);
+    await refundQuotaReservation(reservation, message, log, error);
+    await setTrackingStatusToFailed(trackingId, message, log, error);
+    return { statusCode, body: { success: false, error: message } };
+  };
+
+  try {
+    // 3. Load the article and check the target language
+    log('=== STEP 3: LOADING ARTICLE FOR TRANSLATION ===');
+    const lookup = await getOwnedArticle(articleId, userId, log, error);
+    if (!lookup.success) {
+      return fail(lookup.error, lookup.statusCode);
+    }
+    const article = lookup.article;
+    const sourceLanguage = article.language || CONFIG.DEFAULT_LANGUAGE;
+    if (sourceLanguage === language) {
+      return fail(`Article is already in ${CONFIG.LANGUAGES[language]}`, 400);
+    }
+
+    const translationGroupId = article.translationGroupId || article.$id;
+    const existing = await databases.listDocuments(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.ARTICLES,
+      [Query.equal('translationGroupId', translationGroupId), Query.equal('language', language), Query.limit(1)]
+    );
+    if (existing.documents.length > 0) {
+      return fail(`Article already has a ${CONFIG.LANGUAGES[language]} translation (${existing.documents[0].$id})`, 409);
+    }
+
+    // 4. Translate whole sections in chunks, then the title
+    log(`=== STEP 4: TRANSLATING FROM ${sourceLanguage.toUpperCase()} TO ${language.toUpperCase()} ===`);
+    const { intro, sections } = splitArticleSections(article.content || '');
+    const chunks = chunkArticleParts([intro, ...sections].filter(part => part.trim()), CONFIG.TRANSLATION.CHUNK_CHARS);
+    const modelChain = getModelChain(job.requestType);
+    const systemInstruction = buildTranslationPrompt(sourceLanguage, language);
+    const translatedParts = [];
+
+    for (let index = 0; index < chunks.length; index++) {
+      await reportProgress(
+        trackingId, CONFIG.PROGRESS.GENERATING, 10 + Math.round((60 * index) / chunks.length),
+        `Translating part ${index + 1} of ${chunks.length}`, log, error
+      );
+      const generation = await generateWithFallback(modelChain, {
+        systemInstruction,
+        contents: [{ role: 'user', parts: [{ text: `ARTICLE PART ${index + 1} OF ${chunks.length}:\n${wrapUntrusted('article', chunks[index])}` }] }],
+        temperature: 0.2,
+        maxOutputTokens: CONFIG.MAX_OUTPUT_TOKENS.extended,
+        useSearch: false
+      }, log, error);
+      await recordProviderUsage(trackingId, generation, log, error);
+      await recordGenerationUsage(job, 'translation', generation, log, error);
+      if (!generation.success || !generation.text || !generation.text.trim()) {
+        return fail(`Failed to translate part ${index + 1}: ${generation.error || 'empty response'}`);
+      }
+      translatedParts.push(generation.text.trim());
+    }
+
+    const titleGeneration = await generateWithFallback(modelChain, {
+      systemInstruction: `Translate the blog article title in the <untrusted_title> block from ${CONFIG.LANGUAGES[sourceLanguage]} into ${CONFIG.LANGUAGES[language]}. Reply with the translated title only, without quotes or commentary.`,
+      contents: [{ role: 'user', parts: [{ text: wrapUntrusted('title', article.title) }] }],
+      temperature: 0.2,
+      maxOutputTokens: 200,
+      useSearch: false
+    }, log, error);
+    await recordGenerationUsage(job, 'translation', titleGeneration, log, error);
+    const translatedTitle = titleGeneration.success ? inlineUntrusted(titleGeneration.text, 250) : '';
+    if (!translatedTitle) {
+      return fail(`Failed to translate title: ${titleGeneration.error || 'empty response'}`);
+    }
+
+    // 5. Sanitize, validate and moderate; report whether the markup survived unchanged
+    log('=== STEP 5: SANITIZING AND VALIDATING TRANSLATION ===');
+    await reportProgress(trackingId, CONFIG.PROGRESS.VALIDATING, 75, 'Validating translation', log, error);
+    const template = getTemplate(article.template);
+    const sanitized = sanitizeArticleHTML(translatedParts.join('\n'), {
+      stylesheet: ARTICLE_STYLESHEET,
+      allowedClasses: getTemplateClasses(template)
+    });
+    if (!isValidHTMLContent(sanitized.html)) {
+      return fail('Content validation failed: must include <h2> or <p> tags for TinyMCE compatibility');
+    }
+
+    const translationReport = {
+      from: sourceLanguage,
+      to: language,
+      chunks: chunks.length,
+      structurePreserved: getMarkupSignature(article.content) === getMarkupSignature(sanitized.html)
+    };
+    log(`Translation report: ${JSON.stringify(translationReport)}`);
+    await updateTrackingFields(trackingId, {
+      sanitizerReport: JSON.stringify(sanitized.report),
+      translationReport: JSON.stringify(translationReport)
+    }, log, error);
+
+    const outputModeration = await moderateContent('output', extractPlainText(sanitized.html), job, log, error);
+    if (!outputModeration.allowed) {
+      await updateTrackingFields(trackingId, { moderationReport: JSON.stringify(outputModeration.report) }, log, error);
+      return fail(outputModeration.reason, outputModeration.statusCode);
+    }
+
+    // 6. Save the translation as a new article and link the group
+    log('=== STEP 6: SAVING TRANSLATED ARTICLE ===');
+    await reportProgress(trackingId, CONFIG.PROGRESS.SAVING, 90, 'Saving translation', log, error);
+    const articleFields = {
+      template: template.id,
+      language,
+      translationGroupId,
+      translatedFrom: article.$id,
+      featuredimage: article.featuredimage || '',
+      ...(article.featuredImageAlt ? { featuredImageAlt: article.featuredImageAlt } : {}),
+      ...(article.references ? { references: article.references } : {}),
+      ...buildSEOMetadata(sanitized.html, { title: translatedTitle, category: article.category }),
+      slug: await generateUniqueSlug(`${article.slug || slugify(article.title)}-${language}`, log, error)
+    };
+    const articleDoc = await createArticleDocument(
+      userId, translatedTitle, sanitized.html, article.category, [], article.authorName, articleFields, log, error
+    );
+    if (!articleDoc.success) {
+      return fail('Failed to create translated article document');
+    }
+
+    // The group ID is the source's own ID, so the translation is found through the
+    // source even if stamping the source fails; that is reported, not fatal
+    if (!article.translationGroupId) {
+      try {
+        await databases.updateDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.ARTICLES, article.$id, {
+          translationGroupId,
+          language: sourceLanguage
+        });
+      } catch (linkError) {
+        error(`Failed to link source article ${article.$id} to group ${translationGroupId}: ${linkError.message}`);
+        await updateTrackingFields(trackingId, {
+          translationReport: JSON.stringify({ ...translationReport, sourceLinkError: linkError.message })
+        }, log, error);
+      }
+    }
+    log(`✓ Translation ${articleDoc.documentId} saved in group ${translationGroupId}`);
+
+    // 7. commit quota reservation
+    log('=== STEP 7: COMMITTING QUOTA RESERVATION ===');
+    const committed = await commitQuotaReservation(reservation, log, error);
+
+    // 8. update tracking
+    log('=== STEP 8: UPDATING TRACKING STATUS TO COMPLETED ===');
+    await updateTrackingStatus(trackingId, CONFIG.STATUS.COMPLETED, committed.error || '', articleDoc.documentId, log, error);
+    await reportProgress(trackingId, CONFIG.PROGRESS.COMPLETED, 100, 'Translation ready', log, error);
+
+    log('=== ARTICLE TRANSLATION COMPLETED SUCCESSFULLY ===');
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: 'Article translated successfully',
+        trackingId: trackingId,
+        articleId: articleDoc.documentId,
+        sourceArticleId: article.$id,
+        language,
+        translationGroupId
+      }
+    };
+  } catch (err) {
+    error(`Error stack: ${err.stack}`);
+    return fail(err.message);
+  }
+}
+
+function buildTranslationPrompt(sourceLanguage, targetLanguage) {
+  return `You are a professional translator. Translate the blog article part in the <untrusted_article> block from ${CONFIG.LANGUAGES[sourceLanguage]} into ${CONFIG.LANGUAGES[targetLanguage]}.
+
+**Rules:**
+- Translate only the human-readable text; keep every HTML tag, attribute and class exactly as it is and in the same order
+- Do not translate code inside <pre> or <code>, URLs or product names
+- Keep the meaning, tone and level of detail; do not add, drop or summarize content
+- Output only the translated HTML - NO markdown, NO <style> tag, NO commentary
+
+${UNTRUSTED_CONTENT_RULES}`;
+}
+
+// Group consecutive article parts into chunks of at most maxChars (a larger part stays whole)
+function chunkArticleParts(parts, maxChars) {
+  const chunks = [];
+  let current = '';
+  for (const part of parts) {
+    if (current && current.length + part.length > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current += current ? `\n${part}` : part;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Sequence of tag names and classes, ignoring text and the stylesheet
+function getMarkupSignature(html) {
+  const body = String(html || '').replace(/<style[\s\S]*?<\/style>/gi, '');
+  return [...body.matchAll(/<([a-z0-9]+)(?:[^>]*?\sclass="([^"]*)")?[^>]*>/gi)]
+    .map(match => `${match[1].toLowerCase()}${match[2] ? `.${match[2]}` : ''}`)
+    .join(' ');
+}
+
+async function getOwnedArticle(articleId, userId, log, error) {
+  try {
+    log(`Fetching article ${articleId} for user ${userId}`);
+    const article = await databases.getDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.ARTICLES, articleId);
+    if (article.userid !== userId) {
+      error(`User ${userId} does not own article ${articleId}`);
+      return { success: false, statusCode: 403, error: 'You can only revise your own articles' };
+    }
+    return { success: true, article };
+  } catch (err) {
+    error(`Article lookup error: ${err.message}`);
+    if (err.code === 404) {
+      return { success: false, statusCode: 404, error: 'Article not found' };
+    }
+    return { success: false, statusCode: 500, error: err.message };
+  }
+}
+
+// Split stored article HTML into the content before the first <h2> and one chunk per <h2> section
+function splitArticleSections(html) {
+  const body = html.replace(/<style[\s\S]*?<\/style>\s*/gi, '');
+  const chunks = body.split(/(?=<h2[\s>])/i);
+  const intro = /^\s*<h2[\s>]/i.test(chunks[0]) ? '' : chunks.shift();
+  return { intro, sections: chunks };
+}
+
+// System instruction for a revision; the article text and user instructions follow as untrusted blocks
+function buildRevisionPrompt(job, article) {
+  const { operation, instruction } = job;
+  const tone = inlineUntrusted(job.tone, 50);
+  const tasks = {
+    rewrite_section: 'Rewrite the SECTION below. Keep its <h2 class="article-h2"> heading topic and roughly its length. Return only the rewritten section.',
+    expand: 'Expand the ARTICLE below with more depth, examples and detail (about 50% longer). Keep its structure and headings. Return the full article.',
+    shorten: 'Shorten the ARTICLE below to about half its length, keeping the key points and headings. Return the full article.',
+    change_tone: `Rewrite the ARTICLE below in a ${tone} tone without changing its facts or structure. Return the full article.`,
+    fix_grammar: 'Fix spelling, grammar and punctuation in the ARTICLE below. Do not change meaning, structure or wording otherwise. Return the full article.',
+    continue: 'Continue the ARTICLE below with 1-2 new sections that follow naturally from it. Return ONLY the new sections, not the existing text.'
+  };
+
+  return `You are editing the ${inlineUntrusted(article.category)} blog article "${inlineUntrusted(article.title)}" for TinyMCE.
+
+**Task:** ${tasks[operation]}
+${instruction ? '\nFollow the USER INSTRUCTIONS block where it does not conflict with these rules.\n' : ''}
+**Rules:**
+- HTML only - NO markdown, NO <style> tag
+- Use only these classes: ${[...getTemplateClasses(getTemplate(article.template))].join(', ')}
+- Use CSS classes only - NO inline styles${article.language && CONFIG.LANGUAGES[article.language] ? `\n- Keep the article in ${CONFIG.LANGUAGES[article.language]}` : ''}
+
+${UNTRUSTED_CONTENT_RULES}`;
+}
+
+// Keep every version: the first revision also snapshots the original content
+// Revision documents are keyed by article and revision number, so two revisions saved
+// at the same time cannot both claim a number: the second gets a 409 and takes the next.
+// If the article update fails, the new revision document is removed again.
+async function saveArticleRevision(article, content, job, log, error) {
+  const maxNumberAttempts = 5;
+  try {
+    const currentRevision = article.currentRevision || 0;
+    const writeRevision = (revision, revisionContent, operation, instruction) => databases.createDocument(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.REVISIONS,
+      getRevisionDocumentId(article.$id, revision),
+      {
+        articleId: article.$id,
+        userid: article.userid,
+        revision,
+        content: revisionContent,
+        operation,
+        instruction,
+        trackingId: job.trackingId
+      }
+    );
+
+    let baseRevision = currentRevision;
+    if (baseRevision === 0) {
+      try {
+        await writeRevision(1, article.content, 'original', '');
+      } catch (err) {
+        // A concurrent first revision already kept the original
+        if (err.code !== 409) throw err;
+      }
+      baseRevision = 1;
+    }
+
+    let revision = baseRevision + 1;
+    let revisionDoc = null;
+    for (let attempt = 1; !revisionDoc; attempt++) {
+      try {
+        revisionDoc = await writeRevision(revision, content, job.operation, job.instruction || '');
+      } catch (err) {
+        if (err.code !== 409 || attempt >= maxNumberAttempts) throw err;
+        log(`Revision ${revision} of article ${article.$id} already exists, trying ${revision + 1}`);
+        revision++;
+      }
+    }
+
+    try {
+      await databases.updateDocument(
+        CONFIG.DATABASE_ID,
+        CONFIG.COLLECTIONS.ARTICLES,
+        article.$id,
+        {
+          content,
+          currentRevision: revision,
+          // Slug and keywords stay stable across revisions; content-derived fields follow the text
+          ...pickContentMetadata(buildSEOMetadata(content, { title: article.title, category: article.category }))
+        }
+      );
+    } catch (err) {
+      await databases.deleteDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.REVISIONS, revisionDoc.$id)
+        .catch(deleteError => error(`Failed to remove orphaned revision ${revisionDoc.$id}: ${deleteError.message}`));
+      throw err;
+    }
+
+    log(`Revision ${revision} saved for article ${article.$id}`);
+    return { success: true, revision };
+  } catch (err) {
+    error(`Revision save error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+function getRevisionDocumentId(articleId, revision) {
+  return createHash('sha1').update(`${articleId}:revision:${revision}`).digest('hex').substring(0, 36);
+}
+
+function pickContentMetadata({ metaDescription, readingTime, wordCount, excerpt }) {
+  return { metaDescription, readingTime, wordCount, excerpt };
+}
+
+// Admin usage report: GET /usage?from=YYYY-MM-DD&to=YYYY-MM-DD[&userId=...]
+// Totals per user, tier and day over the usage collection, both dates inclusive (UTC).
+async function handleUsageReport(req, res, log, error) {
+  try {
+    const requesterId = req.headers['x-appwrite-user-id'];
+    if (!requesterId) {
+      return res.json({ success: false, error: 'Authentication required' }, 401, getCORSHeaders());
+    }
+    const requester = await users.get(requesterId);
+    if (!Array.isArray(requester.labels) || !requester.labels.includes('admin')) {
+      error(`Usage report denied for non-admin user ${requesterId}`);
+      return res.json({ success: false, error: 'Admin access required' }, 403, getCORSHeaders());
+    }
+    if (!CONFIG.COLLECTIONS.GENERATION_USAGE) {
+      return res.json({ success: false, error: 'Usage collection is not configured' }, 501, getCORSHeaders());
+    }
+
+    const query = req.query || {};
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const isDate = date => datePattern.test(date) && !Number.isNaN(Date.parse(date));
+    // Validate what was given before deriving the default range from it
+    if ((query.to && !isDate(query.to)) || (query.from && !isDate(query.from))) {
+      return res.json({ success: false, error: 'from and to must be YYYY-MM-DD dates with from <= to' }, 400, getCORSHeaders());
+    }
+    const today = new Date().toISOString().substring(0, 10);
+    const to = query.to || today;
+    const from = query.from ||
+      new Date(Date.parse(to) - (CONFIG.USAGE_REPORT.DEFAULT_DAYS - 1) * 86400000).toISOString().substring(0, 10);
+    if (from > to) {
+      return res.json({ success: false, error: 'from and to must be YYYY-MM-DD dates with from <= to' }, 400, getCORSHeaders());
+    }
+
+    const filters = [Query.greaterThanEqual('day', from), Query.lessThanEqual('day', to)];
+    if (query.userId) {
+      filters.push(Query.equal('userId', query.userId));
+    }
+
+    log(`Building usage report ${from}..${to}${query.userId ? ` for ${query.userId}` : ''}`);
+    const records = [];
+    let cursor = null;
+    while (records.length < CONFIG.USAGE_REPORT.MAX_RECORDS) {
+      const page = await databases.listDocuments(
+        CONFIG.DATABASE_ID,
+        CONFIG.COLLECTIONS.GENERATION_USAGE,
+        [...filters, Query.orderAsc('$id'), Query.limit(100), ...(cursor ? [Query.cursorAfter(cursor)] : [])]
+      );
+      records.push(...page.documents);
+      if (page.documents.length < 100) break;
+      cursor = page.documents[page.documents.length - 1].$id;
+    }
+
+    const truncated = records.length >= CONFIG.USAGE_REPORT.MAX_RECORDS;
+    return res.json({
+      success: true,
+      from,
+      to,
+      records: records.length,
+      truncated,
+      ...aggregateUsage(records.slice(0, CONFIG.USAGE_REPORT.MAX_RECORDS))
+    }, 200, getCORSHeaders());
+  } catch (err) {
+    error(`Usage report error: ${err.message}`);
+    return res.json({ success: false, error: err.message }, 500, getCORSHeaders());
+  }
+}
+
+// Async jobs: the HTTP execution reserves quota and queues a background execution of
+// this same function. The job payload is trusted only when it carries JOB_SECRET.
+// Compared as digests so the check takes the same time whatever the header holds
+function isJobWorkerRequest(req) {
+  const token = req.headers && req.headers[CONFIG.JOB_HEADER];
+  if (!CONFIG.JOB_SECRET || typeof token !== 'string') return false;
+  const digest = value => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(token), digest(CONFIG.JOB_SECRET));
+}
+
+async function enqueueGenerationJob(job, log, error) {
+  try {
+    log(`Queueing job for tracking ${job.trackingId} on function ${process.env.APPWRITE_FUNCTION_ID}`);
+    const execution = await functions.createExecution(
+      process.env.APPWRITE_FUNCTION_ID,
+      JSON.stringify(job),
+      true,
+      '/',
+      ExecutionMethod.POST,
+      { 'content-type': 'application/json', [CONFIG.JOB_HEADER]: CONFIG.JOB_SECRET }
+    );
+    return { success: true, executionId: execution.$id };
+  } catch (err) {
+    error(`Job enqueue error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+async function handleJobWorker(req, res, log, error) {
+  log('=== STARTING ASYNC GENERATION JOB ===');
+  let job;
+  try {
+    job = JSON.parse(req.body || '{}');
+  } catch (parseError) {
+    error(`Invalid job body: ${parseError.message}`);
+    return res.json({ success: false, error: 'Request body must be valid JSON' }, 400);
+  }
+  log(`Job for tracking ${job.trackingId}, attempt ${job.attempt}, user ${job.userId}`);
+
+  // A re-delivered or superseded job must not run twice
+  const lookup = await getTrackingDocument(job.trackingId, log, error);
+  if (!lookup.success ||
+      lookup.document.status !== CONFIG.STATUS.IN_PROGRESS ||
+      (lookup.document.attempts || 0) !== job.attempt) {
+    log(`Skipping job for tracking ${job.trackingId}: no longer the active attempt`);
+    return res.json({ success: false, skipped: true, trackingId: job.trackingId }, 200);
+  }
+
+  const result = await runJob(job, log, error);
+  return res.json(result.body, result.statusCode);
+}
+
+// Flag fetched sources that look like prompt injection; in reject mode they are dropped
+// from the prompt. Results are added to the source entries (and so to the source report).
+function screenSourcesForInjection(sourceExcerpts, log, error) {
+  if (CONFIG.INJECTION.MODE === 'off') return;
+
+  for (const source of sourceExcerpts) {
+    if (source.status !== 'ok') continue;
+    const injection = detectInjection(`${source.title}\n${source.excerpt}`);
+    if (injection.score < CONFIG.INJECTION.THRESHOLD) continue;
+
+    source.injection = injection;
+    error(`Possible prompt injection in source ${source.url} (score ${injection.score}: ${injection.matches.join(', ')})`);
+    if (CONFIG.INJECTION.MODE === 'reject') {
+      source.status = 'rejected';
+      source.error = 'Dropped: contains instructions aimed at the AI model';
+      source.excerpt = '';
+      source.chars = 0;
+    }
+  }
+}
+
+// Moderation gate
+// Returns { allowed, reason, report, statusCode }. Flagged content and classifier failures are
+// written to the moderation log for admin review.
+async function moderateContent(stage, text, { userId, trackingId, requestType }, log, error) {
+  if (!CONFIG.MODERATION.ENABLED) {
+    return { allowed: true, reason: '', report: null };
+  }
+
+  const result = await moderateText(text, {
+    chain: getModelChain('moderation'),
+    thresholds: CONFIG.MODERATION.THRESHOLDS,
+    maxChars: CONFIG.MODERATION.MAX_CHARS
+  }, log, error);
+
+  if (!result.success) {
+    error(`${result.error} (${stage})`);
+    await logModerationDecision({ userId, trackingId, stage, text, result, allowed: CONFIG.MODERATION.FAIL_OPEN }, log, error);
+    return CONFIG.MODERATION.FAIL_OPEN
+      ? { allowed: true, reason: '', report: { stage, error: result.error } }
+      : { allowed: false, reason: 'Content could not be checked by moderation, please try again later', report: { stage, error: result.error }, statusCode: 503 };
+  }
+
+  if (result.generation) {
+    await recordGenerationUsage({ userId, trackingId, requestType }, `moderation_${stage}`, result.generation, log, error);
+  }
+
+  const report = { stage, flagged: result.flagged, violations: result.violations, scores: result.scores };
+  log(`Moderation (${stage}) scores: ${JSON.stringify(result.scores)}`);
+  if (!result.flagged) {
+    return { allowed: true, reason: '', report };
+  }
+
+  await logModerationDecision({ userId, trackingId, stage, text, result, allowed: false }, log, error);
+  const subject = stage === 'input' ? 'Request' : 'Generated article';
+  return {
+    allowed: false,
+    reason: `${subject} rejected by content moderation (${result.violations.map(category => category.replace('_', ' ')).join(', ')})`,
+    report,
+    statusCode: 422
+  };
+}
+
+async function logModerationDecision({ userId, trackingId, stage, text, result, allowed }, log, error) {
+  if (!CONFIG.COLLECTIONS.MODERATION_LOG) {
+    log('Moderation log collection not configured, skipping log entry');
+    return;
+  }
+
+  try {
+    await databases.createDocument(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.MODERATION_LOG,
+      ID.unique(),
+      {
+        userId,
+        trackingId,
+        stage,
+        allowed,
+        violations: result.violations || [],
+        scores: JSON.stringify(result.scores || {}),
+        error: result.error || '',
+        provider: result.provider || '',
+        model: result.model || '',
+        excerpt: String(text || '').substring(0, 1000)
+      }
+    );
+  } catch (err) {
+    error(`Failed to write moderation log entry: ${err.message}`);
+  }
+}
+
+// Visible text of an article, for checks that should not see markup or the stylesheet
+function extractPlainText(html) {
+  return String(html || '')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Score a new article against the user's articles, recent platform articles and the
+// fetched source excerpts. Returns { allowed, reason, report }; listing failures only
+// narrow the comparison, they never block the article.
+async function checkSimilarity(job, html, log, error) {
+  if (CONFIG.SIMILARITY.MODE === 'off') {
+    return { allowed: true, reason: '', report: null };
+  }
+
+  const size = CONFIG.SIMILARITY.SHINGLE_SIZE;
+  const candidate = buildShingles(extractPlainText(html), size);
+  const fields = Query.select(['$id', 'title', 'content', 'userid']);
+  const scopes = [
+    { scope: 'user', queries: [Query.equal('userid', job.userId), Query.orderDesc('$createdAt'), Query.limit(CONFIG.SIMILARITY.USER_ARTICLES), fields] },
+    { scope: 'platform', queries: [Query.notEqual('userid', job.userId), Query.orderDesc('$createdAt'), Query.limit(CONFIG.SIMILARITY.PLATFORM_ARTICLES), fields] }
+  ];
+
+  const articles = [];
+  for (const { scope, queries } of scopes) {
+    try {
+      const result = await databases.listDocuments(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.ARTICLES, queries);
+      for (const article of result.documents) {
+        const scores = compareShingles(candidate, buildShingles(extractPlainText(article.content), size));
+        articles.push({ articleId: article.$id, title: article.title, scope, ...scores });
+      }
+    } catch (err) {
+      error(`Similarity check could not list ${scope} articles: ${err.message}`);
+    }
+  }
+  articles.sort((a, b) => b.resemblance - a.resemblance);
+
+  const sources = (job.sourceExcerpts || [])
+    .filter(source => source.status === 'ok' && source.excerpt)
+    .map(source => ({ url: source.url, ...compareShingles(candidate, buildShingles(source.excerpt, size)) }))
+    .sort((a, b) => b.containment - a.containment);
+
+  const duplicates = articles.filter(article => article.resemblance >= CONFIG.SIMILARITY.DUPLICATE_THRESHOLD);
+  const copiedSources = sources.filter(source => source.containment >= CONFIG.SIMILARITY.SOURCE_THRESHOLD);
+  const report = {
+    mode: CONFIG.SIMILARITY.MODE,
+    shingleSize: size,
+    articlesCompared: articles.length,
+    flagged: duplicates.length > 0 || copiedSources.length > 0,
+    duplicates: duplicates.map(article => article.articleId),
+    copiedSources: copiedSources.map(source => source.url),
+    topMatches: articles.slice(0, CONFIG.SIMILARITY.REPORT_MATCHES),
+    sources
+  };
+  log(`Similarity: ${articles.length} articles compared, top resemblance ${articles.length ? articles[0].resemblance : 0}, ${copiedSources.length} copied sources`);
+
+  if (!report.flagged) {
+    return { allowed: true, reason: '', report };
+  }
+
+  const reason = duplicates.length > 0
+    ? `Generated article is a near-duplicate of an existing article (${duplicates[0].articleId})`
+    : `Generated article copies too much text from a source (${copiedSources[0].url})`;
+  error(reason);
+  return CONFIG.SIMILARITY.MODE === 'reject'
+    ? { allowed: false, reason, report }
+    : { allowed: true, reason, report };
+}
+
+// HTML validation utility
+function isValidHTMLContent(html) {
+  console.log('--- HTML VALIDATION START ---');
+  console.log(`Validating HTML content length: ${html ? html.length : 0} characters`);
+
+  const hasH2 = /<h2[^>]*>.*?<\/h2>/i.test(html);
+  const hasP = /<p[^>]*>.*?<\/p>/i.test(html);
+
+  console.log(`Contains <h2> tags: ${hasH2}`);
+  console.log(`Contains <p> tags: ${hasP}`);
+
+  const isValid = hasH2 || hasP;
+  console.log(`HTML validation result: ${isValid ? 'PASSED' : 'FAILED'}`);
+
+  if (!isValid) {
+    console.log('HTML validation failed - content must contain at least one <h2> or <p> tag');
+    console.log(`First 500 characters of content: ${html ? html.substring(0, 500) : 'null'}...`);
+  }
+
+  console.log('--- HTML VALIDATION END ---');
+
+  return isValid;
+}
+
+
+// All other helpers below (unchanged except where noted):
+
+async function checkUserPreferences(userId, requestType, log, error) {
+  try {
+    log(`Checking prefs for user: ${userId}`);
+
+    // Validate userId format
+    if (!userId || typeof userId !== 'string') {
+      error(`Invalid userId format: ${userId}`);
+      return { success: false, error: 'Invalid user ID format.' };
+    }
+
+    let userPrefs = {};
+
+    try {
+      // Get user preferences using the correct Appwrite API
+      log(`Fetching preferences for user: ${userId}`);
+      userPrefs = await users.getPrefs(userId);
+      log(`User preferences retrieved successfully`);
+    } catch (prefsError) {
+      // If user has no preferences set, create default ones
+      if (prefsError.code === 404 || prefsError.message.includes('not found')) {
+        log(`No preferences found for user ${userId}, using defaults`);
+        userPrefs = {
+          basic_uses: 0,
+          pro_uses: 0,
+          ultra_uses: 0
+        };
+      } else {
+        throw prefsError; // Re-throw if it's a different error
+      }
+    }
+
+    const usageField = getUsageFieldForRequestType(requestType);
+    if (!usageField) {
+      error(`Invalid request type: ${requestType}`);
+      return { success: false, error: 'Invalid request type.' };
+    }
+
+    const remainingUses = userPrefs[usageField] || 0;
+    log(`User has ${remainingUses} ${requestType} uses remaining`);
+
+    if (remainingUses <= 0) {
+      return { success: false, error: `Insufficient ${requestType} uses.` };
+    }
+
+    return { success: true, remainingUses, usageField };
+  } catch (err) {
+    error(`Preference check error: ${err.message}`);
+    error(`Error details: ${JSON.stringify(err)}`);
+    return { success: false, statusCode: 500, error: 'Could not read your remaining uses, please try again' };
+  }
+}
+
+// Quota reservation ledger
+// A request reserves one use before generation, commits it once the article is saved,
+// or refunds it on failure. Prefs are only decremented on commit; while a reservation
+// is open it counts against the user's remaining uses, so concurrent requests cannot
+// spend the same use twice. Each ledger document is keyed by trackingId and attempt,
+// so a duplicate delivery of the same attempt is rejected by the database itself.
+// Returns statusCode 500 when the ledger or prefs could not be read or written, so an
+// outage is not reported to the user as running out of uses.
+async function reserveUserQuota(userId, requestType, trackingId, attempt, log, error) {
+  let entryId = null;
+  try {
+    log('--- RESERVE USER QUOTA START ---');
+    log(`Reserving ${requestType} use for user: ${userId}, tracking: ${trackingId}, attempt: ${attempt}`);
+
+    const usageField = getUsageFieldForRequestType(requestType);
+    if (!usageField) {
+      error(`Invalid request type: ${requestType}`);
+      return { success: false, error: 'Invalid request type.' };
+    }
+
+    // Create the entry first so concurrent requests see it before anyone counts
+    const entry = await databases.createDocument(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.USAGE_LEDGER,
+      getLedgerEntryId(trackingId, attempt),
+      {
+        userId,
+        trackingId,
+        attempt,
+        requestType,
+        usageField,
+        status: CONFIG.LEDGER_STATUS.RESERVED,
+        reason: '',
+        settledAt: null
+      }
+    );
+    entryId = entry.$id;
+    log(`Ledger entry created: ${entryId}`);
+
+    // Failed commits hold their use regardless of age: the article was delivered
+    const cutoff = new Date(Date.now() - CONFIG.RESERVATION_TTL_MS).toISOString();
+    const openReservations = await databases.listDocuments(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.USAGE_LEDGER,
+      [
+        Query.equal('userId', userId),
+        Query.equal('usageField', usageField),
+        Query.or([
+          Query.and([Query.equal('status', CONFIG.LEDGER_STATUS.RESERVED), Query.greaterThan('$createdAt', cutoff)]),
+          Query.equal('status', CONFIG.LEDGER_STATUS.COMMIT_FAILED)
+        ]),
+        Query.orderAsc('$createdAt'),
+        Query.limit(100)
+      ]
+    );
+    const failedCommits = openReservations.documents.filter(doc => doc.status === CONFIG.LEDGER_STATUS.COMMIT_FAILED).length;
+
+    // Every request sorts the same set the same way, so they agree on who came first
+    const ordered = openReservations.documents
+      .filter(doc => doc.status === CONFIG.LEDGER_STATUS.RESERVED)
+      .sort((a, b) =>
+        a.$createdAt === b.$createdAt ? a.$id.localeCompare(b.$id) : a.$createdAt.localeCompare(b.$createdAt)
+      );
+    let position = ordered.findIndex(doc => doc.$id === entryId);
+    if (position === -1) position = ordered.length;
+    log(`Open reservations for ${usageField}: ${ordered.length} (+${failedCommits} failed commits), this request is #${position + 1}`);
+
+    // The same ordering decides which requests fit under the concurrent job cap
+    const concurrency = CONFIG.RATE_LIMITS.CONCURRENCY[requestType];
+    if (CONFIG.RATE_LIMITS.ENABLED && concurrency && position >= concurrency) {
+      const reason = `Too many ${requestType} generations running at once (limit ${concurrency}), please wait for one to finish`;
+      log(`Reservation rejected: ${position} ${requestType} jobs already running`);
+      await settleLedgerEntry(entryId, CONFIG.LEDGER_STATUS.REJECTED, reason, log, error);
+      return { success: false, rateLimited: true, retryAfter: CONFIG.RATE_LIMITS.CONCURRENCY_RETRY_AFTER_S, error: reason };
+    }
+
+    // Read prefs after listing: commits decrement prefs before settling their entry,
+    // so a reservation that disappeared from the list is already reflected here
+    const prefsCheck = await checkUserPreferences(userId, requestType, log, error);
+    if (!prefsCheck.success) {
+      await settleLedgerEntry(entryId, CONFIG.LEDGER_STATUS.REJECTED, prefsCheck.error, log, error);
+      return prefsCheck;
+    }
+
+    if (position + failedCommits >= prefsCheck.remainingUses) {
+      const reason = `Insufficient ${requestType} uses.`;
+      log(`Reservation rejected: ${prefsCheck.remainingUses} remaining, ${position + failedCommits} already reserved`);
+      await settleLedgerEntry(entryId, CONFIG.LEDGER_STATUS.REJECTED, reason, log, error);
+      return { success: false, error: reason };
+    }
+
+    log('--- RESERVE USER QUOTA SUCCESS ---');
+    return {
+      success: true,
+      reservation: { id: entryId, userId, trackingId, requestType, usageField }
+    };
+  } catch (err) {
+    error(`Quota reservation error: ${err.message}`);
+    log('--- RESERVE USER QUOTA ERROR ---');
+
+    if (err.code === 409) {
+      return { success: false, conflict: true, error: 'This request is already being processed' };
+    }
+    if (entryId) {
+      await settleLedgerEntry(entryId, CONFIG.LEDGER_STATUS.REJECTED, err.message, log, error);
+    }
+    return { success: false, statusCode: 500, error: 'Could not reserve quota, please try again' };
+  }
+}
+
+// Sliding-window limits for the calling user and client IP. Returns null when the
+// request may proceed, or { error, retryAfter } (seconds) when a limit is exceeded.
+async function checkRequestRateLimits(req, log, error) {
+  if (!CONFIG.COLLECTIONS.RATE_LIMITS) {
+    log('Rate limit collection not configured, skipping request rate limits');
+    return null;
+  }
+
+  const userId = req.headers['x-appwrite-user-id'];
+  const clientIp = getClientIp(req);
+  const checks = [
+    userId && { scope: 'user', key: userId, ...CONFIG.RATE_LIMITS.USER },
+    clientIp && { scope: 'ip', key: clientIp, ...CONFIG.RATE_LIMITS.IP }
+  ].filter(Boolean);
+
+  // The windows are independent, so both are checked at once
+  const results = await Promise.all(checks.map(check => checkSlidingWindow(check, log, error)));
+  const index = results.findIndex(result => !result.allowed);
+  if (index === -1) return null;
+
+  // A rejected request must not use up the windows it passed either
+  await Promise.all(results
+    .filter(result => result.allowed && result.eventId)
+    .map(result => databases.deleteDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.RATE_LIMITS, result.eventId)
+      .catch(err => error(`Failed to remove rate limit event ${result.eventId}: ${err.message}`))));
+
+  const check = checks[index];
+  error(`Rate limit exceeded for ${check.scope} ${check.key}: ${check.LIMIT} requests per ${check.WINDOW_MS / 1000}s`);
+  return {
+    error: `Too many requests, please try again in ${results[index].retryAfter} seconds`,
+    retryAfter: results[index].retryAfter
+  };
+}
+
+// The client address as seen by Appwrite's proxy. Clients can send their own
+// X-Forwarded-For, but the proxy appends the address it received the connection from,
+// so only the last hop can be trusted.
+function getClientIp(req) {
+  const hops = String(req.headers['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(Boolean);
+  return hops.length > 0 ? hops[hops.length - 1] : '';
+}
+
+// Sliding-window log: every request adds an event document, then counts the events in
+// the window. Adding before counting means concurrent requests always see each other.
+// A rejected request removes its event again, so waiting out Retry-After is enough.
+// Storage errors let the request through: the limiter must not take generation down.
+async function checkSlidingWindow({ scope, key, LIMIT, WINDOW_MS }, log, error) {
+  const bucket = `${scope}:${key}`;
+  let eventId = null;
+  try {
+    const event = await databases.createDocument(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.RATE_LIMITS,
+      ID.unique(),
+      { bucket, scope }
+    );
+    eventId = event.$id;
+
+    const now = Date.now();
+    const cutoff = new Date(now - WINDOW_MS).toISOString();
+    const recent = await databases.listDocuments(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.RATE_LIMITS,
+      [
+        Query.equal('bucket', bucket),
+        Query.greaterThan('$createdAt', cutoff),
+        Query.orderAsc('$createdAt'),
+        Query.limit(CONFIG.RATE_LIMITS.MAX_EVENTS)
+      ]
+    );
+    const events = recent.documents;
+    log(`Rate limit ${bucket}: ${events.length} of ${LIMIT} requests in the last ${WINDOW_MS / 1000}s`);
 
-    if (trackingId) {
-      log(`Updating tracking document ${trackingId} with error status`);
-      await setTrackingStatusToFailed(trackingId, err.message, log, error);
+    if (events.length <= LIMIT) {
+      if (Math.random() < CONFIG.RATE_LIMITS.CLEANUP_PROBABILITY) {
+        await pruneRateLimitEvents(bucket, cutoff, log, error);
+      }
+      return { allowed: true, eventId };
     }
 
-    return res.json({ success: false, error: err.message }, 500, getCORSHeaders());
+    await databases.deleteDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.RATE_LIMITS, eventId);
+    // Without this request's event, the window frees up once the oldest
+    // (events.length - LIMIT) events have aged out
+    const others = events.filter(doc => doc.$id !== eventId);
+    const freeing = others[Math.max(0, others.length - LIMIT)] || others[others.length - 1];
+    const retryAfter = Math.max(1, Math.ceil((Date.parse(freeing.$createdAt) + WINDOW_MS - now) / 1000));
+    return { allowed: false, retryAfter };
+  } catch (err) {
+    error(`Rate limit check failed for ${bucket}, allowing request: ${err.message}`);
+    return { allowed: true };
   }
-};
-
-// HTML validation utility
-function isValidHTMLContent(html) {
-  console.log('--- HTML VALIDATION START ---');
-  console.log(`Validating HTML content length: ${html ? html.length : 0} characters`);
-
-  const hasH2 = /<h2[^>]*>.*?<\/h2>/i.test(html);
-  const hasP = /<p[^>]*>.*?<\/p>/i.test(html);
+}
 
-  console.log(`Contains <h2> tags: ${hasH2}`);
-  console.log(`Contains <p> tags: ${hasP}`);
+// Drop a batch of expired events now and then so the collection does not grow without
+// bound; the deletes run in parallel to keep the cost off the request's latency
+async function pruneRateLimitEvents(bucket, cutoff, log, error) {
+  try {
+    const expired = await databases.listDocuments(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.RATE_LIMITS,
+      [Query.equal('bucket', bucket), Query.lessThan('$createdAt', cutoff), Query.limit(CONFIG.RATE_LIMITS.CLEANUP_BATCH)]
+    );
+    await Promise.all(expired.documents.map(doc =>
+      databases.deleteDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.RATE_LIMITS, doc.$id)));
+    if (expired.documents.length > 0) {
+      log(`Pruned ${expired.documents.length} expired rate limit events for ${bucket}`);
+    }
+  } catch (err) {
+    error(`Rate limit cleanup failed for ${bucket}: ${err.message}`);
+  }
+}
 
-  const isValid = hasH2 || hasP;
-  console.log(`HTML validation result: ${isValid ? 'PASSED' : 'FAILED'}`);
+// Deterministic, Appwrite-safe document ID (max 36 chars) for a trackingId + attempt pair
+function getLedgerEntryId(trackingId, attempt) {
+  return createHash('sha1').update(`${trackingId}:${attempt}`).digest('hex').substring(0, 36);
+}
 
-  if (!isValid) {
-    console.log('HTML validation failed - content must contain at least one <h2> or <p> tag');
-    console.log(`First 500 characters of content: ${html ? html.substring(0, 500) : 'null'}...`);
+// Returns { success, error }. The entry is only settled as committed once the decrement
+// is confirmed; on failure it is settled as commit_failed, which keeps counting against
+// the user until the next successful commit applies the decrement, and the caller
+// reports the failure on the tracking document.
+async function commitQuotaReservation(reservation, log, error) {
+  if (!reservation) return { success: true };
+
+  log(`Committing quota reservation: ${reservation.id}`);
+  // Decrement before settling so the use is never invisible to concurrent reservations
+  const decremented = await decrementUserQuota(reservation, log, error);
+  if (!decremented.success) {
+    const reason = `Commit failed: ${decremented.error}`;
+    error(`Quota reservation ${reservation.id} not committed: ${decremented.error}`);
+    await settleLedgerEntry(reservation.id, CONFIG.LEDGER_STATUS.COMMIT_FAILED, reason, log, error);
+    return { success: false, error: reason };
   }
 
-  console.log('--- HTML VALIDATION END ---');
-
-  return isValid;
+  await settleLedgerEntry(reservation.id, CONFIG.LEDGER_STATUS.COMMITTED, '', log, error);
+  return { success: true };
 }
 
+async function refundQuotaReservation(reservation, reason, log, error) {
+  if (!reservation) return;
 
-// All other helpers below (unchanged except where noted):
+  // Prefs were never decremented, so settling the entry is what releases the use
+  log(`Refunding quota reservation: ${reservation.id}`);
+  await settleLedgerEntry(reservation.id, CONFIG.LEDGER_STATUS.REFUNDED, reason, log, error);
+}
 
-async function checkUserPreferences(userId, requestType, log, error) {
+async function settleLedgerEntry(entryId, status, reason, log, error) {
   try {
-    log(`Checking prefs for user: ${userId}`);
-
-    // Validate userId format
-    if (!userId || typeof userId !== 'string') {
-      error(`Invalid userId format: ${userId}`);
-      return { success: false, error: 'Invalid user ID format.' };
+    let safeReason = typeof reason === 'string' ? reason : String(reason || '');
+    if (safeReason.length > 500) {
+      safeReason = safeReason.substring(0, 500);
     }
 
-    let userPrefs = {};
+    await databases.updateDocument(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.USAGE_LEDGER,
+      entryId,
+      { status, reason: safeReason, settledAt: new Date().toISOString() }
+    );
+    log(`Ledger entry ${entryId} settled as ${status}`);
+  } catch (err) {
+    error(`Ledger settle error for ${entryId}: ${err.message}`);
+  }
+}
 
+// Per-user, per-field lock held while prefs are read, decremented and written back.
+// The lock is a ledger document with a deterministic ID, so creating it is atomic and
+// a second commit gets a 409 until the first deletes it.
+async function acquireQuotaLock(reservation, log, error) {
+  const lockId = createHash('sha1')
+    .update(`lock:${reservation.userId}:${reservation.usageField}`)
+    .digest('hex')
+    .substring(0, 36);
+  const deadline = Date.now() + CONFIG.QUOTA_LOCK.WAIT_MS;
+
+  while (true) {
     try {
-      // Get user preferences using the correct Appwrite API
-      log(`Fetching preferences for user: ${userId}`);
-      userPrefs = await users.getPrefs(userId);
-      log(`User preferences retrieved successfully`);
-    } catch (prefsError) {
-      // If user has no preferences set, create default ones
-      if (prefsError.code === 404 || prefsError.message.includes('not found')) {
-        log(`No preferences found for user ${userId}, using defaults`);
-        userPrefs = {
-          basic_uses: 0,
-          pro_uses: 0,
-          ultra_uses: 0
-        };
-      } else {
-        throw prefsError; // Re-throw if it's a different error
-      }
+      await databases.createDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.USAGE_LEDGER, lockId, {
+        userId: reservation.userId,
+        trackingId: reservation.trackingId || '',
+        attempt: 0,
+        requestType: reservation.requestType,
+        usageField: reservation.usageField,
+        status: CONFIG.LEDGER_STATUS.LOCKED,
+        reason: `Held by ${reservation.id}`,
+        settledAt: null
+      });
+      log(`Quota lock ${lockId} acquired`);
+      return lockId;
+    } catch (err) {
+      if (err.code !== 409) throw err;
     }
 
-    const usageField = getUsageFieldForRequestType(requestType);
-    if (!usageField) {
-      error(`Invalid request type: ${requestType}`);
-      return { success: false, error: 'Invalid request type.' };
+    try {
+      const held = await databases.getDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.USAGE_LEDGER, lockId);
+      if (Date.now() - Date.parse(held.$createdAt) > CONFIG.QUOTA_LOCK.STALE_MS) {
+        log(`Removing stale quota lock ${lockId} (${held.reason})`);
+        await databases.deleteDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.USAGE_LEDGER, lockId);
+        continue;
+      }
+    } catch (err) {
+      // Released between the create and the read: try again straight away
+      if (err.code === 404) continue;
+      throw err;
     }
 
-    const remainingUses = userPrefs[usageField] || 0;
-    log(`User has ${remainingUses} ${requestType} uses remaining`);
-
-    if (remainingUses <= 0) {
-      return { success: false, error: `Insufficient ${requestType} uses.` };
+    if (Date.now() >= deadline) {
+      throw new Error('Timed out waiting for the quota lock');
     }
+    await new Promise(resolve => setTimeout(resolve, CONFIG.QUOTA_LOCK.POLL_MS + Math.random() * CONFIG.QUOTA_LOCK.POLL_MS));
+  }
+}
+
+async function releaseQuotaLock(lockId, log, error) {
+  try {
+    await databases.deleteDocument(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.USAGE_LEDGER, lockId);
+    log(`Quota lock ${lockId} released`);
+  } catch (err) {
+    error(`Quota lock release error for ${lockId}: ${err.message}`);
+  }
+}
 
-    return { success: true };
+// Helper: Load the tracking document for idempotency checks
+async function getTrackingDocument(trackingId, log, error) {
+  try {
+    log(`Fetching tracking document: ${trackingId}`);
+    const document = await databases.getDocument(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.TRACKING,
+      trackingId
+    );
+    log(`Tracking document found with status: ${document.status || 'none'}, attempts: ${document.attempts || 0}`);
+    return { success: true, document };
   } catch (err) {
-    error(`Preference check error: ${err.message}`);
-    error(`Error details: ${JSON.stringify(err)}`);
+    error(`Tracking lookup error: ${err.message}`);
+    if (err.code === 404) {
+      return { success: false, notFound: true, error: 'Tracking document not found' };
+    }
     return { success: false, error: err.message };
   }
 }
 
+// Helper: An inprogress job whose execution died (timeout, crash) must not block retries forever
+function isStaleTracking(trackingDoc) {
+  const updatedAt = Date.parse(trackingDoc.$updatedAt);
+  return Number.isFinite(updatedAt) && Date.now() - updatedAt > CONFIG.RESERVATION_TTL_MS;
+}
+
 // Helper: Set tracking status to failed
 async function setTrackingStatusToFailed(trackingId, errorMessage, log, error) {
   try {
@@ -345,6 +2321,76 @@ async function updateTrackingStatus(trackingId, status, errorMessage, postId, lo
   }
 }
 
+// Helper: Record job progress (stage, percentage, human-readable message)
+async function reportProgress(trackingId, stage, percent, message, log, error) {
+  log(`Progress [${stage}] ${percent}%: ${message}`);
+  await updateTrackingFields(trackingId, {
+    progressStage: stage,
+    progress: percent,
+    progressMessage: message
+  }, log, error);
+}
+
+// Helper: Record which provider/model served the job and what was tried before it
+async function recordProviderUsage(trackingId, generation, log, error) {
+  if (!generation.attempts) return;
+
+  // Keep the JSON parseable while bounding its size
+  const attemptsJson = JSON.stringify(generation.attempts.map(attempt => ({
+    ...attempt,
+    error: attempt.error ? attempt.error.substring(0, 150) : null
+  })));
+
+  await updateTrackingFields(trackingId, {
+    llmProvider: generation.provider || '',
+    llmModel: generation.model || '',
+    llmAttempts: attemptsJson
+  }, log, error);
+}
+
+// One usage document per successful model call (best effort, never throws).
+// purpose: article, outline, section, revision, image_brief, moderation_input, moderation_output
+async function recordGenerationUsage({ userId, trackingId, requestType }, purpose, generation, log, error) {
+  if (!generation || !generation.success) return;
+
+  const usage = summarizeUsage(generation);
+  log(`Usage (${purpose}): ${usage.totalTokens} tokens, ${usage.latencyMs}ms, ~$${usage.cost}${usage.grounded ? ', grounded' : ''}`);
+  if (!CONFIG.COLLECTIONS.GENERATION_USAGE) return;
+
+  try {
+    await databases.createDocument(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.GENERATION_USAGE,
+      ID.unique(),
+      {
+        userId,
+        trackingId,
+        requestType,
+        purpose,
+        ...usage,
+        day: new Date().toISOString().substring(0, 10)
+      }
+    );
+  } catch (err) {
+    error(`Failed to record generation usage: ${err.message}`);
+  }
+}
+
+// Helper: Write arbitrary fields to the tracking document (best effort, never throws)
+async function updateTrackingFields(trackingId, fields, log, error) {
+  try {
+    log(`Updating tracking fields for ${trackingId}: ${Object.keys(fields).join(', ')}`);
+    await databases.updateDocument(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.TRACKING,
+      trackingId,
+      fields
+    );
+  } catch (err) {
+    error(`Tracking fields update error: ${err.message}`);
+  }
+}
+
 // ... (Other helper functions remain as in your current code)
 async function getUserDetails(userId, log, error) {
   try {
@@ -373,7 +2419,8 @@ async function getUserDetails(userId, log, error) {
   }
 }
 
-async function createArticleDocument(userId, title, content, category, sources, authorName, log, error) {
+// articleFields: optional extra attributes (e.g. structured-mode summary, tags, faq, sections)
+async function createArticleDocument(userId, title, content, category, sources, authorName, articleFields, log, error) {
   try {
     log('--- CREATE ARTICLE DOCUMENT START ---');
     log(`Creating article document for user: ${userId}`);
@@ -390,7 +2437,8 @@ async function createArticleDocument(userId, title, content, category, sources,
       category,
       status: 'inactive',
       authorName,
-      featuredimage: ''
+      featuredimage: '',
+      ...articleFields
     };
 
     log(`Article data prepared (excluding content for brevity):`);
@@ -401,16 +2449,31 @@ async function createArticleDocument(userId, title, content, category, sources,
     log(`- authorName: ${articleData.authorName}`);
     log(`- featuredimage: ${articleData.featuredimage}`);
     log(`- content length: ${articleData.content.length} characters`);
+    log(`- extra fields: ${Object.keys(articleFields || {}).join(', ') || 'none'}`);
 
     log(`Database ID: ${CONFIG.DATABASE_ID}`);
     log(`Articles Collection ID: ${CONFIG.COLLECTIONS.ARTICLES}`);
 
-    const document = await databases.createDocument(
-      CONFIG.DATABASE_ID,
-      CONFIG.COLLECTIONS.ARTICLES,
-      ID.unique(),
-      articleData
-    );
+    let document;
+    try {
+      document = await databases.createDocument(
+        CONFIG.DATABASE_ID,
+        CONFIG.COLLECTIONS.ARTICLES,
+        ID.unique(),
+        articleData
+      );
+    } catch (createError) {
+      // Another article took the slug between the uniqueness check and this write
+      if (createError.code !== 409 || !articleData.slug) throw createError;
+      articleData.slug = `${articleData.slug}-${ID.unique().slice(-6)}`;
+      log(`Slug conflict, retrying with ${articleData.slug}`);
+      document = await databases.createDocument(
+        CONFIG.DATABASE_ID,
+        CONFIG.COLLECTIONS.ARTICLES,
+        ID.unique(),
+        articleData
+      );
+    }
 
     log(`Article document created successfully with ID: ${document.$id}`);
     log(`Document created at: ${document.$createdAt}`);
@@ -425,97 +2488,442 @@ async function createArticleDocument(userId, title, content, category, sources,
   }
 }
 
-// ... (Gemini generation logic stays nearly identical)
-async function generateArticleContent(prompt, title, sources, category, requestType, style, log, error) {
+// Brief the text model for an image, then generate or find one and upload it to ImageKit.
+// Returns { success, fileId, url, altText, report }; report goes on the tracking document.
+async function createFeaturedImage(job, articleFields, log, error) {
+  const mode = job.featuredImage;
+  const report = { mode, status: 'failed', error: null };
+
+  try {
+    const brief = await generateWithFallback(getModelChain(job.requestType), {
+      systemInstruction: `You write briefs for the featured (cover) image of blog articles.
+The image must suit a ${CONFIG.FEATURED_IMAGE.ASPECT_RATIO} banner, contain no text, logos or real people's likenesses, and match the article's topic.
+
+${UNTRUSTED_CONTENT_RULES}`,
+      contents: [{
+        role: 'user',
+        parts: [{ text: `ARTICLE:\n${wrapUntrusted('article', `Title: ${job.title}\nCategory: ${job.category}\n\n${articleFields.excerpt || ''}`)}` }]
+      }],
+      temperature: 0.4,
+      maxOutputTokens: 500,
+      useSearch: false,
+      responseSchema: IMAGE_BRIEF_SCHEMA
+    }, log, error);
+    await recordGenerationUsage(job, 'image_brief', brief, log, error);
+    if (!brief.success) {
+      throw new Error(`Image brief failed: ${brief.error}`);
+    }
+    const { imagePrompt, searchQuery, altText } = JSON.parse(brief.text.trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, ''));
+    log(`Image brief: query "${searchQuery}", prompt length ${String(imagePrompt).length}`);
+
+    let image;
+    if (mode === 'generate') {
+      image = await generateImage({
+        model: CONFIG.FEATURED_IMAGE.MODEL,
+        prompt: imagePrompt,
+        aspectRatio: CONFIG.FEATURED_IMAGE.ASPECT_RATIO
+      }, log);
+    } else {
+      image = await searchStockImage(searchQuery, {
+        provider: CONFIG.FEATURED_IMAGE.STOCK_PROVIDER,
+        apiKey: CONFIG.FEATURED_IMAGE.STOCK_API_KEY,
+        timeoutMs: CONFIG.FEATURED_IMAGE.TIMEOUT_MS
+      }, log);
+      report.attribution = image.attribution;
+      report.sourceUrl = image.sourceUrl;
+    }
+
+    const extension = image.mimeType === 'image/jpeg' || mode === 'stock' ? 'jpg' : 'png';
+    const uploaded = await uploadImage({
+      file: image.file,
+      fileName: `${articleFields.slug || slugify(job.title)}.${extension}`,
+      folder: `${CONFIG.FEATURED_IMAGE.FOLDER}/${job.userId}`,
+      tags: ['ai-article', mode]
+    }, log);
+
+    report.status = 'ok';
+    report.fileId = uploaded.fileId;
+    return {
+      success: true,
+      fileId: uploaded.fileId,
+      url: uploaded.url,
+      // A stock photo's own description matches the actual picture better than the brief
+      altText: String((mode === 'stock' && image.altText) || altText || job.title).substring(0, 250),
+      report
+    };
+  } catch (err) {
+    error(`Featured image failed: ${err.message}`);
+    report.error = err.message;
+    return { success: false, report };
+  }
+}
+
+// Slug from the title, suffixed -2, -3, ... until no article uses it
+async function generateUniqueSlug(title, log, error) {
+  const base = slugify(title);
+  try {
+    const taken = await databases.listDocuments(
+      CONFIG.DATABASE_ID,
+      CONFIG.COLLECTIONS.ARTICLES,
+      [Query.startsWith('slug', base), Query.select(['slug']), Query.limit(100)]
+    );
+    const used = new Set(taken.documents.map(document => document.slug));
+    if (!used.has(base)) return base;
+
+    for (let suffix = 2; suffix <= used.size + 1; suffix++) {
+      if (!used.has(`${base}-${suffix}`)) return `${base}-${suffix}`;
+    }
+  } catch (err) {
+    error(`Slug lookup failed: ${err.message}`);
+  }
+  // Lookup failed or every numbered variant is taken
+  return `${base}-${ID.unique().slice(-6)}`;
+}
+
+// ... (generation runs through the provider chain in providers.js)
+// onSectionProgress(section, totalSections) is called as each <h2> section starts streaming in
+async function generateArticleContent(job, log, error, onSectionProgress) {
+  const { prompt, title, sources, sourceExcerpts, category, requestType, style, outputFormat = 'html' } = job;
+  if (style === 'longform') {
+    return generateLongFormArticle(job, log, error, onSectionProgress);
+  }
+
   try {
     log('--- GENERATE ARTICLE CONTENT START ---');
-    log(`Generating content with Gemini AI`);
+    log(`Generating content with AI provider chain`);
     log(`Title: ${title}`);
     log(`Category: ${category}`);
     log(`Request Type: ${requestType}`);
     log(`Style: ${style}`);
+    log(`Output format: ${outputFormat}`);
     log(`Prompt length: ${prompt.length} characters`);
     log(`Sources count: ${sources.length}`);
 
-    const modelName = CONFIG.MODELS[requestType] || CONFIG.MODELS.basic;
+    const modelChain = getModelChain(requestType);
     const maxTokens = CONFIG.MAX_OUTPUT_TOKENS[style] || CONFIG.MAX_OUTPUT_TOKENS.moderate;
 
-    log(`Selected model: ${modelName}`);
+    log(`Model chain: ${modelChain.map(entry => `${entry.provider}/${entry.model}`).join(' -> ')}`);
     log(`Max output tokens: ${maxTokens}`);
 
-    const systemPrompt = buildSystemPrompt(title, category, sources, style);
+    const template = getTemplate(job.template);
+    log(`Template: ${template.id}`);
+    const systemPrompt = buildSystemPrompt(title, category, sources, style, outputFormat, template, job.language);
     log(`System prompt length: ${systemPrompt.length} characters`);
 
-    // Configure grounding tools - Google Search for dynamic real-time information
-    const tools = [
-      {
-        googleSearch: {} // Enable Google Search grounding for up-to-date information
-      }
-    ];
-    log(`Tools configured: ${JSON.stringify(tools)}`);
-
-    const completePrompt = buildCompletePrompt(systemPrompt, prompt, sources);
-    log(`Complete prompt parts count: ${completePrompt.length}`);
+    const completePrompt = buildCompletePrompt(systemPrompt, prompt, sources, sourceExcerpts);
+    log(`Complete prompt parts count: ${completePrompt.contents.length}`);
     log(`Complete prompt total length: ${JSON.stringify(completePrompt).length} characters`);
 
-    const config = {
-      tools,
-      temperature: 0.7,
-      maxOutputTokens: maxTokens
-    };
+    const totalSections = getLengthConfig(style, template).sections;
+    const sectionPattern = outputFormat === 'json' ? /"heading"\s*:/g : /<h2[\s>]/gi;
+    let sectionsSeen = 0;
 
-    // Add thinkingConfig only for Gemini 3 models
-    if (modelName.includes('gemini-3')) {
-      config.thinkingConfig = {
-        thinkingLevel: 'medium'
-      };
-      log('✓ ThinkingConfig enabled for Gemini 3 model');
-    }
+    // Search grounding cannot be combined with a response schema
+    const generation = await generateWithFallback(modelChain, {
+      ...completePrompt,
+      temperature: 0.7,
+      maxOutputTokens: maxTokens,
+      useSearch: outputFormat !== 'json',
+      responseSchema: outputFormat === 'json' ? ARTICLE_SCHEMA : undefined,
+      onText: async (delta, fullText) => {
+        const sectionCount = (fullText.match(sectionPattern) || []).length;
+        if (onSectionProgress && sectionCount > sectionsSeen) {
+          sectionsSeen = sectionCount;
+          await onSectionProgress(sectionCount, totalSections);
+        }
+      }
+    }, log, error);
 
-    const requestConfig = {
-      model: modelName,
-      contents: completePrompt,
-      config
-    };
-    log(`Request configuration: ${JSON.stringify({ ...requestConfig, contents: '[PROMPT_DATA]' })}`);
+    log(`Provider attempts: ${JSON.stringify(generation.attempts)}`);
+    await recordGenerationUsage(job, 'article', generation, log, error);
 
-    log('Making request to Gemini AI...');
-    const response = await ai.models.generateContent(requestConfig);
+    if (!generation.success) {
+      log('--- GENERATE ARTICLE CONTENT ERROR ---');
+      return { success: false, error: `Failed to generate content: ${generation.error}`, attempts: generation.attempts };
+    }
 
-    log('Gemini AI response received');
-    log(`Response object keys: ${Object.keys(response).join(', ')}`);
+    log(`Response received from ${generation.provider}/${generation.model}`);
 
     // Check for grounding metadata to see if Google Search was used
-    if (response.candidates && response.candidates[0] && response.candidates[0].groundingMetadata) {
+    if (generation.groundingMetadata) {
       log('✓ Response was grounded with Google Search');
-      log(`Grounding metadata: ${JSON.stringify(response.candidates[0].groundingMetadata)}`);
+      log(`Grounding metadata: ${JSON.stringify(generation.groundingMetadata)}`);
     } else {
       log('ℹ Model answered from its own knowledge (no grounding used)');
     }
 
-    const generatedText = response.text;
+    const generatedText = generation.text;
     log(`Generated text length: ${generatedText ? generatedText.length : 0} characters`);
 
+    const providerInfo = {
+      groundingMetadata: generation.groundingMetadata,
+      provider: generation.provider,
+      model: generation.model,
+      attempts: generation.attempts
+    };
+
     if (!generatedText || generatedText.trim().length === 0) {
       error('Generated content is empty');
       log('--- GENERATE ARTICLE CONTENT FAILED (EMPTY) ---');
-      return { success: false, error: 'Generated content is empty' };
+      return { success: false, error: 'Generated content is empty', ...providerInfo };
     }
 
     log(`First 200 characters of generated content: ${generatedText.substring(0, 200)}...`);
     log('--- GENERATE ARTICLE CONTENT SUCCESS ---');
 
-    return { success: true, content: generatedText };
+    return { success: true, content: generatedText, ...providerInfo };
   } catch (err) {
-    error(`Gemini error: ${err.message}`);
+    error(`Generation error: ${err.message}`);
     error(`Error stack: ${err.stack}`);
     log('--- GENERATE ARTICLE CONTENT ERROR ---');
     return { success: false, error: `Failed to generate content: ${err.message}` };
   }
 }
 
+// Long-form generation: outline pass, then one pass per section with the outline and the
+// text written so far as context, then the sections are stitched into one article.
+// Returns the same shape as generateArticleContent.
+async function generateLongFormArticle(job, log, error, onSectionProgress) {
+  const { prompt, title, sources, sourceExcerpts, category, requestType, targetWords = CONFIG.LONGFORM.DEFAULT_WORDS } = job;
+  const modelChain = getModelChain(requestType);
+  const attempts = [];
+  const groundingList = [];
+  let lastGeneration = null;
+
+  try {
+    log('--- GENERATE LONG-FORM ARTICLE START ---');
+    const template = getTemplate(job.template);
+    const persona = getTemplatePersona(template, category);
+    const languageName = CONFIG.LANGUAGES[job.language] || CONFIG.LANGUAGES[CONFIG.DEFAULT_LANGUAGE];
+    const sectionCount = Math.min(12, Math.max(5, Math.round(targetWords / CONFIG.LONGFORM.WORDS_PER_SECTION)));
+    const wordsPerSection = Math.round(targetWords / sectionCount);
+    log(`Target: ${targetWords} words in about ${sectionCount} sections of ${wordsPerSection} words`);
+
+    // Pass 1: outline
+    const outlinePrompt = `You are ${persona} planning a long-form blog article titled "${inlineUntrusted(title)}".
+
+**Task:** Produce an outline of ${sectionCount} main sections (about ${targetWords} words in total).${template.structure ? `\nFollow this structure: ${template.structure}` : ''}
+For each section give a heading, 3-5 key points it must cover and a target word count.
+Sections must not overlap; the last section should conclude the article.
+Write the headings and key points in ${languageName}.`;
+
+    const outlineGeneration = await generateWithFallback(modelChain, {
+      ...buildCompletePrompt(outlinePrompt, prompt, sources, sourceExcerpts),
+      temperature: 0.4,
+      maxOutputTokens: CONFIG.MAX_OUTPUT_TOKENS.longform,
+      useSearch: false,
+      responseSchema: OUTLINE_SCHEMA
+    }, log, error);
+    attempts.push(...outlineGeneration.attempts);
+    await recordGenerationUsage(job, 'outline', outlineGeneration, log, error);
+    if (!outlineGeneration.success) {
+      return { success: false, error: `Failed to generate outline: ${outlineGeneration.error}`, attempts };
+    }
+
+    const outline = parseOutline(outlineGeneration.text, wordsPerSection);
+    if (!outline.success) {
+      return { success: false, error: outline.error, attempts };
+    }
+    log(`✓ Outline ready: ${outline.sections.map(section => section.heading).join(' | ')}`);
+
+    // Pass 2: one section at a time
+    const outlineText = outline.sections
+      .map((section, index) => `${index + 1}. ${inlineUntrusted(section.heading)}`)
+      .join('\n');
+    const written = [];
+
+    for (let index = 0; index < outline.sections.length; index++) {
+      const section = outline.sections[index];
+      if (onSectionProgress) {
+        await onSectionProgress(index + 1, outline.sections.length);
+      }
+
+      const heading = inlineUntrusted(section.heading);
+      const sectionPrompt = `You are ${persona} writing section ${index + 1} of ${outline.sections.length} of the long-form blog article "${inlineUntrusted(title)}" in HTML for TinyMCE.
+
+**Full outline:**
+${outlineText}
+
+**This section:** "${heading}" (about ${section.targetWords} words)
+Key points:
+${section.keyPoints.map(point => `- ${inlineUntrusted(point)}`).join('\n')}
+
+**Rules:**
+- Start with <h2 class="article-h2">${heading}</h2>
+- Use only these classes: ${[...getTemplateClasses(template)].join(', ')}
+- HTML only - NO markdown, NO <style> tag, NO inline styles${template.rules.map(rule => `\n- ${rule}`).join('')}
+- Write in ${languageName}
+- Do not repeat what earlier sections already covered
+- ${index === outline.sections.length - 1 ? 'This is the final section: conclude the article' : 'Do not write a conclusion - more sections follow'}`;
+
+      const sectionRequest = buildCompletePrompt(sectionPrompt, prompt, sources, sourceExcerpts);
+      if (written.length > 0) {
+        const previousText = written.join('\n');
+        sectionRequest.contents.push({
+          role: 'user',
+          parts: [{ text: `SECTIONS WRITTEN SO FAR (for context, do not repeat):\n${wrapUntrusted('draft', previousText.substring(Math.max(0, previousText.length - CONFIG.LONGFORM.CONTEXT_CHARS)))}` }]
+        });
+      }
+
+      const generation = await generateWithFallback(modelChain, {
+        ...sectionRequest,
+        temperature: 0.7,
+        maxOutputTokens: CONFIG.MAX_OUTPUT_TOKENS.longform,
+        useSearch: true
+      }, log, error);
+      attempts.push(...generation.attempts);
+      await recordGenerationUsage(job, 'section', generation, log, error);
+      if (!generation.success || !generation.text || !generation.text.trim()) {
+        return { success: false, error: `Failed to generate section ${index + 1}: ${generation.error || 'empty response'}`, attempts };
+      }
+
+      lastGeneration = generation;
+      groundingList.push(generation.groundingMetadata);
+      written.push(generation.text.trim());
+      log(`✓ Section ${index + 1}/${outline.sections.length} written (${generation.text.length} characters)`);
+    }
+
+    // Pass 3: stitch; sanitizing and validation happen in the pipeline
+    const content = written.join('\n');
+    const wordCount = content.replace(/<[^>]*>/g, ' ').split(/\s+/).filter(Boolean).length;
+    log(`Stitched long-form article: ${written.length} sections, ~${wordCount} words`);
+    log('--- GENERATE LONG-FORM ARTICLE SUCCESS ---');
+
+    return {
+      success: true,
+      content,
+      groundingMetadata: mergeGroundingMetadata(groundingList),
+      provider: lastGeneration.provider,
+      model: lastGeneration.model,
+      attempts
+    };
+  } catch (err) {
+    error(`Long-form generation error: ${err.message}`);
+    log('--- GENERATE LONG-FORM ARTICLE ERROR ---');
+    return { success: false, error: `Failed to generate content: ${err.message}`, attempts };
+  }
+}
+
+// Combine grounding from several passes, re-basing chunk indices so supports stay valid
+function mergeGroundingMetadata(list) {
+  const merged = { groundingChunks: [], groundingSupports: [] };
+  for (const metadata of list.filter(Boolean)) {
+    const offset = merged.groundingChunks.length;
+    merged.groundingChunks.push(...(metadata.groundingChunks || []));
+    merged.groundingSupports.push(...(metadata.groundingSupports || []).map(support => ({
+      ...support,
+      groundingChunkIndices: (support.groundingChunkIndices || []).map(index => index + offset)
+    })));
+  }
+  return merged.groundingChunks.length > 0 ? merged : null;
+}
+
 // Build prompts
-function buildSystemPrompt(title, category, sources, style) {
+// Trusted article stylesheet: shown to the model and re-inserted by the sanitizer
+const ARTICLE_STYLESHEET = `
+.article-h2 {
+  font-size: 1.875rem;
+  font-weight: 700;
+  margin: 2rem 0 1rem 0;
+  color: #000000;
+  background: linear-gradient(135deg, #3b82f6, #8b5cf6);
+  -webkit-background-clip: text;
+  -webkit-text-fill-color: transparent;
+}
+.article-h3 {
+  font-size: 1.5rem;
+  font-weight: 700;
+  margin: 1.5rem 0 0.75rem 0;
+  color: #000000;
+  border-bottom: 2px solid #e5e7eb;
+  padding-bottom: 0.5rem;
+}
+.article-p {
+  font-size: 1rem;
+  line-height: 1.7;
+  margin: 1rem 0;
+  color: #000000;
+}
+.article-ul, .article-ol {
+  margin: 1.5rem 0;
+  padding: 1rem 1rem 1rem 2rem;
+  border-left: 3px solid #3b82f6;
+}
+.article-li {
+  margin: 0.75rem 0;
+  color: #000000;
+}
+.article-table {
+  width: 100%;
+  border-collapse: collapse;
+  margin: 2rem 0;
+}
+.article-table th {
+  background: linear-gradient(135deg, #3b82f6, #8b5cf6);
+  color: white;
+  padding: 1rem;
+  font-weight: 600;
+}
+.article-table td {
+  padding: 0.875rem 1rem;
+  border-bottom: 1px solid #e5e7eb;
+  color: #000000;
+}
+.highlight-info {
+  border: 2px solid #0ea5e9;
+  padding: 1.5rem;
+  margin: 2rem 0;
+  color: #000000;
+}
+.dark .article-h2 {
+  color: #ffffff;
+  background: linear-gradient(135deg, #60a5fa, #a78bfa);
+  -webkit-background-clip: text;
+  -webkit-text-fill-color: transparent;
+}
+.dark .article-h3, .dark .article-p, .dark .article-li {
+  color: #ffffff;
+}
+.dark .article-ul, .dark .article-ol {
+  border-left-color: #60a5fa;
+}
+.dark .article-table th {
+  background: linear-gradient(135deg, #1e3a8a, #5b21b6);
+}
+.dark .article-table td {
+  color: #ffffff;
+  border-bottom-color: #374151;
+}
+.article-pre {
+  background-color: #0f172a;
+  color: #e2e8f0;
+  padding: 1rem;
+  border-radius: 0.5rem;
+  overflow-x: auto;
+  margin: 1rem 0;
+}
+.article-code {
+  font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+  font-size: 0.875rem;
+}
+.dark .article-pre {
+  background-color: #020617;
+}
+.article-citation {
+  font-size: 0.75rem;
+  margin-left: 0.125rem;
+}
+.article-references {
+  font-size: 0.875rem;
+}
+.dark .highlight-info {
+  color: #ffffff;
+  background-color: rgba(14, 165, 233, 0.1);
+}
+`;
+
+// Template length presets override the defaults per style
+function getLengthConfig(style, template = getTemplate('default')) {
   const lengthConfig = {
     concise: {
       wordCount: '250-350',
@@ -531,150 +2939,155 @@ function buildSystemPrompt(title, category, sources, style) {
       wordCount: '400-500',
       sections: 5,
       description: 'comprehensive'
+    },
+    longform: {
+      wordCount: `${CONFIG.LONGFORM.MIN_WORDS}-${CONFIG.LONGFORM.MAX_WORDS}`,
+      sections: 8,
+      description: 'in-depth long-form'
     }
   };
 
-  const config = lengthConfig[style] || lengthConfig.moderate;
+  const key = lengthConfig[style] ? style : 'moderate';
+  return { ...lengthConfig[key], ...((template.lengths || {})[key] || {}) };
+}
+
+function getTemplatePersona(template, category) {
+  return template.persona.replace(/\{category\}/g, inlineUntrusted(category));
+}
+
+// Classes a template may emit. Footnote classes are always allowed so revising a cited
+// article keeps its references (the sanitizer keeps their ref-N ids itself).
+function getTemplateClasses(template) {
+  const stylesheetClasses = getStylesheetClasses(ARTICLE_STYLESHEET);
+  if (!template.allowedClasses) return stylesheetClasses;
+  return new Set([
+    ...template.allowedClasses.filter(className => stylesheetClasses.has(className)),
+    'article-citation',
+    'article-references'
+  ]);
+}
+
+// JSON output only takes the template's persona and lengths: its structure and rules describe HTML
+function buildSystemPrompt(title, category, sources, style, outputFormat = 'html', template = getTemplate('default'), language = CONFIG.DEFAULT_LANGUAGE) {
+  const config = getLengthConfig(style, template);
+  const persona = getTemplatePersona(template, category);
+  const languageName = CONFIG.LANGUAGES[language] || CONFIG.LANGUAGES[CONFIG.DEFAULT_LANGUAGE];
+
+  if (outputFormat === 'json') {
+    return `You are ${persona}. Write a ${config.description} blog article as a JSON object.
+
+**Requirements:**
+- Title: "${inlineUntrusted(title)}"
+- Language: write every field, including headings, tags and FAQ, in ${languageName}
+- Length: ${config.wordCount} words across all section bodies
+- Sections: ${config.sections} main sections, each with a heading and a body
+- Summary: 2-3 sentences
+- Tags: 3-6 short topic tags
+- FAQ: 2-4 questions readers are likely to ask, with short answers
+
+**Rules:**
+- Section bodies and answers are plain text - NO HTML, NO markdown
+- Separate paragraphs with a blank line; start bullet lines with "- "
+- Write original content - don't copy sources
+- Keep it concise`;
+  }
 
-  let prompt = `You are a ${category} expert. Write a ${config.description} blog article in HTML for TinyMCE.
+  let prompt = `You are ${persona}. Write a ${config.description} blog article in HTML for TinyMCE.
 
 **Requirements:**
-- Title: "${title}"  
+- Title: "${inlineUntrusted(title)}"  
+- Language: write everything, including headings, in ${languageName}
 - Length: ${config.wordCount} words
 - Sections: ${config.sections} main sections with <h2 class="article-h2">
-- Format: HTML only - NO markdown
-
-**HTML Classes:**
-<style>
-  .article-h2 {
-    font-size: 1.875rem;
-    font-weight: 700;
-    margin: 2rem 0 1rem 0;
-    color: #000000;
-    background: linear-gradient(135deg, #3b82f6, #8b5cf6);
-    -webkit-background-clip: text;
-    -webkit-text-fill-color: transparent;
-  }
-  .article-h3 {
-    font-size: 1.5rem;
-    font-weight: 700;
-    margin: 1.5rem 0 0.75rem 0;
-    color: #000000;
-    border-bottom: 2px solid #e5e7eb;
-    padding-bottom: 0.5rem;
-  }
-  .article-p {
-    font-size: 1rem;
-    line-height: 1.7;
-    margin: 1rem 0;
-    color: #000000;
-  }
-  .article-ul, .article-ol {
-    margin: 1.5rem 0;
-    padding: 1rem 1rem 1rem 2rem;
-    border-left: 3px solid #3b82f6;
-  }
-  .article-li {
-    margin: 0.75rem 0;
-    color: #000000;
-  }
-  .article-table {
-    width: 100%;
-    border-collapse: collapse;
-    margin: 2rem 0;
-  }
-  .article-table th {
-    background: linear-gradient(135deg, #3b82f6, #8b5cf6);
-    color: white;
-    padding: 1rem;
-    font-weight: 600;
-  }
-  .article-table td {
-    padding: 0.875rem 1rem;
-    border-bottom: 1px solid #e5e7eb;
-    color: #000000;
-  }
-  .highlight-info {
-    border: 2px solid #0ea5e9;
-    padding: 1.5rem;
-    margin: 2rem 0;
-    color: #000000;
-  }
-  .dark .article-h2 {
-    color: #ffffff;
-    background: linear-gradient(135deg, #60a5fa, #a78bfa);
-    -webkit-background-clip: text;
-    -webkit-text-fill-color: transparent;
-  }
-  .dark .article-h3, .dark .article-p, .dark .article-li {
-    color: #ffffff;
-  }
-  .dark .article-ul, .dark .article-ol {
-    border-left-color: #60a5fa;
-  }
-  .dark .article-table th {
-    background: linear-gradient(135deg, #1e3a8a, #5b21b6);
-  }
-  .dark .article-table td {
-    color: #ffffff;
-    border-bottom-color: #374151;
-  }
-  .dark .highlight-info {
-    color: #ffffff;
-    background-color: rgba(14, 165, 233, 0.1);
-  }
-</style>
+- Format: HTML only - NO markdown${template.structure ? `\n- Structure: ${template.structure}` : ''}
+
+**HTML Classes (stylesheet is added automatically):**
+<style>${ARTICLE_STYLESHEET}</style>
 
 **Rules:**
-- Start with <style> tag, then content
+- Do NOT output a <style> tag - start directly with the content
 - Use CSS classes only - NO inline styles
 - Write original content - don't copy sources
+- Do NOT add citation markers or a references section - sources are cited automatically
 - Keep it concise`;
 
+  if (template.allowedClasses) {
+    prompt += `\n- Use only these classes: ${[...getTemplateClasses(template)].join(', ')}`;
+  }
+  for (const rule of template.rules) {
+    prompt += `\n- ${rule}`;
+  }
+
   return prompt;
 }
 
-function buildCompletePrompt(systemPrompt, userPrompt, sources) {
+// Returns { systemInstruction, contents }: the rules go in the system instruction and the
+// user prompt and sources follow as delimited untrusted blocks. sourceExcerpts (from
+// fetchSources) replaces the bare URL list when available.
+function buildCompletePrompt(systemPrompt, userPrompt, sources, sourceExcerpts) {
   console.log('--- BUILD COMPLETE PROMPT START ---');
   console.log(`System prompt length: ${systemPrompt.length} characters`);
   console.log(`User prompt length: ${userPrompt.length} characters`);
   console.log(`Sources count: ${sources ? sources.length : 0}`);
 
+  const systemInstruction = `${systemPrompt}\n\n${UNTRUSTED_CONTENT_RULES}`;
   const contents = [
     {
       role: 'user',
-      parts: [{ text: systemPrompt }]
-    },
-    {
-      role: 'user',
-      parts: [{ text: `USER INSTRUCTIONS:\n${userPrompt}` }]
+      parts: [{ text: `USER INSTRUCTIONS:\n${wrapUntrusted('user_request', userPrompt)}` }]
     }
   ];
 
-  if (sources && sources.length > 0) {
+  if (sourceExcerpts && sourceExcerpts.length > 0) {
+    console.log('Adding extracted source excerpts to complete prompt');
+    const sourceText = sourceExcerpts.map((source, index) => {
+      const heading = `[${index + 1}] ${source.url}${source.title ? ` - ${source.title}` : ''}`;
+      return source.status === 'ok'
+        ? `${heading}\n${source.excerpt}`
+        : `${heading}\n(could not be read: ${source.error})`;
+    }).join('\n\n');
+    contents.push({
+      role: 'user',
+      parts: [{ text: `SOURCES TO REFERENCE (extracted text):\n${wrapUntrusted('sources', sourceText)}` }]
+    });
+  } else if (sources && sources.length > 0) {
     console.log('Adding sources to complete prompt');
     contents.push({
       role: 'user',
-      parts: [{ text: `SOURCES TO REFERENCE:\n${sources.join('\n')}` }]
+      parts: [{ text: `SOURCES TO REFERENCE:\n${wrapUntrusted('sources', sources.join('\n'))}` }]
     });
   }
 
   console.log(`Complete prompt parts count: ${contents.length}`);
   console.log('--- BUILD COMPLETE PROMPT END ---');
 
-  return contents;
+  return { systemInstruction, contents };
 }
 
-async function decrementUserQuota(userId, requestType, log, error) {
+// Decrement one use, plus one for each earlier commit that failed, under the user's
+// quota lock and read the prefs back to confirm the write. The failed commits are
+// settled before the lock is released, so no other commit can apply them again.
+// Returns { success, remainingUses } or { success: false, error }.
+async function decrementUserQuota(reservation, log, error) {
+  const { userId, requestType } = reservation;
+  let lockId = null;
   try {
     log(`Decrementing quota for user: ${userId}, type: ${requestType}`);
 
     // Validate userId is string
     if (!userId || typeof userId !== 'string') {
       error(`Invalid userId format in decrementUserQuota: ${userId}`);
-      return;
+      return { success: false, error: 'Invalid user ID format.' };
     }
 
+    const usageField = getUsageFieldForRequestType(requestType);
+    if (!usageField) {
+      error(`Invalid request type for quota decrement: ${requestType}`);
+      return { success: false, error: 'Invalid request type.' };
+    }
+
+    lockId = await acquireQuotaLock(reservation, log, error);
+
     let currentPrefs = {};
 
     try {
@@ -694,28 +3107,45 @@ async function decrementUserQuota(userId, requestType, log, error) {
       }
     }
 
-    const usageField = getUsageFieldForRequestType(requestType);
-    if (!usageField) {
-      error(`Invalid request type for quota decrement: ${requestType}`);
-      return;
-    }
+    const failedCommits = await databases.listDocuments(CONFIG.DATABASE_ID, CONFIG.COLLECTIONS.USAGE_LEDGER, [
+      Query.equal('userId', userId),
+      Query.equal('usageField', usageField),
+      Query.equal('status', CONFIG.LEDGER_STATUS.COMMIT_FAILED),
+      Query.limit(100)
+    ]);
+    const settleFailedCommits = () => Promise.all(failedCommits.documents.map(doc =>
+      settleLedgerEntry(doc.$id, CONFIG.LEDGER_STATUS.COMMITTED, `Decrement applied by ${reservation.id}`, log, error)));
 
     const currentUses = currentPrefs[usageField] || 0;
-    const newUses = Math.max(0, currentUses - 1);
+    if (currentUses <= 0) {
+      // Allowances were lowered after the reservation was made; there is nothing to take
+      log(`User ${userId} already has 0 ${usageField}, nothing to decrement`);
+      await settleFailedCommits();
+      return { success: true, remainingUses: 0 };
+    }
+    const newUses = Math.max(0, currentUses - 1 - failedCommits.documents.length);
+    if (failedCommits.documents.length > 0) {
+      log(`Also applying ${failedCommits.documents.length} failed commits for ${usageField}`);
+    }
 
     // Update user preferences with new quota
-    const updatedPrefs = { ...currentPrefs, [usageField]: newUses };
+    await users.updatePrefs(userId, { ...currentPrefs, [usageField]: newUses });
 
-    // Validate updatedPrefs is an object
-    if (!updatedPrefs || typeof updatedPrefs !== 'object') {
-      error(`Invalid updatedPrefs format: ${updatedPrefs}`);
-      return;
+    const writtenPrefs = await users.getPrefs(userId);
+    if (writtenPrefs[usageField] !== newUses) {
+      return {
+        success: false,
+        error: `Prefs did not confirm the decrement (expected ${usageField} = ${newUses}, found ${writtenPrefs[usageField]})`
+      };
     }
 
-    await users.updatePrefs(userId, updatedPrefs);
-
+    await settleFailedCommits();
     log(`User quota updated: ${usageField} = ${newUses}`);
+    return { success: true, remainingUses: newUses };
   } catch (err) {
     error(`Quota decrement error: ${err.message}`);
+    return { success: false, error: err.message };
+  } finally {
+    if (lockId) await releaseQuotaLock(lockId, log, error);
   }
 }
@@ -0,0 +1,342 @@
+import { GoogleGenAI } from '@google/genai';
+
+/**
+ * LLM provider layer for createWithAI
+ *
+ * Every provider exposes the same generate() call so a tier can be served by an
+ * ordered chain of provider/model pairs. generateWithFallback() walks the chain and
+ * moves on when a provider is rate limited, out of quota or returns a 5xx.
+ *
+ * Request shape (contents use the Gemini role/parts format, responseSchema uses @google/genai Type):
+ *   { model, systemInstruction, contents, temperature, maxOutputTokens, useSearch, responseSchema, onText }
+ * Result shape:
+ *   { text, groundingMetadata, usageMetadata }
+ */
+
+function providerError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Quota, rate limit and server-side failures are worth retrying on the next provider
+export function isRetryableProviderError(err) {
+  const status = Number(err.status || err.code);
+  if (status === 429 || status >= 500) return true;
+
+  const message = String(err.message || '');
+  return /RESOURCE_EXHAUSTED|UNAVAILABLE|quota|overloaded|rate limit/i.test(message);
+}
+
+// Gemini schemas use upper-case Type names; JSON Schema consumers want lower-case types
+function toJSONSchema(schema) {
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'propertyOrdering') continue;
+    if (key === 'type') {
+      converted.type = String(value).toLowerCase();
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toJSONSchema(property)])
+      );
+    } else if (key === 'items') {
+      converted.items = toJSONSchema(value);
+    } else {
+      converted[key] = value;
+    }
+  }
+  if (converted.type === 'object') {
+    converted.additionalProperties = false;
+  }
+  return converted;
+}
+
+// Minimal value that satisfies a schema, used by the mock provider
+function sampleFromSchema(schema, name = 'value') {
+  switch (String(schema.type).toUpperCase()) {
+    case 'OBJECT':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, property]) => [key, sampleFromSchema(property, key)])
+      );
+    case 'ARRAY':
+      return [1, 2].map(index => sampleFromSchema(schema.items || {}, `${name} ${index}`));
+    case 'NUMBER':
+    case 'INTEGER':
+      return 0;
+    case 'BOOLEAN':
+      return true;
+    default:
+      return `Mock ${name}`;
+  }
+}
+
+function contentsToText(contents) {
+  return contents.map(turn => turn.parts.map(part => part.text || '').join('\n')).join('\n\n');
+}
+
+// --- Gemini ---------------------------------------------------------------
+
+let geminiClient = null;
+
+const gemini = {
+  name: 'gemini',
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  },
+
+  async generate(request, log) {
+    if (!geminiClient) {
+      geminiClient = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+    }
+
+    const config = {
+      temperature: request.temperature,
+      maxOutputTokens: request.maxOutputTokens
+    };
+
+    if (request.systemInstruction) {
+      config.systemInstruction = request.systemInstruction;
+    }
+
+    if (request.responseSchema) {
+      config.responseMimeType = 'application/json';
+      config.responseSchema = request.responseSchema;
+    }
+
+    // Google Search grounding for up-to-date information
+    if (request.useSearch) {
+      config.tools = [{ googleSearch: {} }];
+    }
+
+    // Add thinkingConfig only for Gemini 3 models
+    if (request.model.includes('gemini-3')) {
+      config.thinkingConfig = { thinkingLevel: 'medium' };
+      log('✓ ThinkingConfig enabled for Gemini 3 model');
+    }
+
+    const stream = await geminiClient.models.generateContentStream({
+      model: request.model,
+      contents: request.contents,
+      config
+    });
+
+    let text = '';
+    let groundingMetadata = null;
+    let usageMetadata = null;
+
+    for await (const chunk of stream) {
+      const delta = chunk.text || '';
+      text += delta;
+
+      if (chunk.candidates && chunk.candidates[0] && chunk.candidates[0].groundingMetadata) {
+        groundingMetadata = chunk.candidates[0].groundingMetadata;
+      }
+      if (chunk.usageMetadata) {
+        usageMetadata = chunk.usageMetadata;
+      }
+      if (delta && request.onText) {
+        await request.onText(delta, text);
+      }
+    }
+
+    return { text, groundingMetadata, usageMetadata };
+  }
+};
+
+// --- OpenAI-compatible chat completions ----------------------------------
+
+const openai = {
+  name: 'openai',
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_COMPAT_BASE_URL && process.env.OPENAI_COMPAT_API_KEY);
+  },
+
+  async generate(request, log) {
+    const messages = [];
+    if (request.systemInstruction) {
+      messages.push({ role: 'system', content: request.systemInstruction });
+    }
+    for (const turn of request.contents) {
+      messages.push({
+        role: turn.role === 'model' ? 'assistant' : 'user',
+        content: turn.parts.map(part => part.text || '').join('\n')
+      });
+    }
+
+    const baseUrl = process.env.OPENAI_COMPAT_BASE_URL.replace(/\/+$/, '');
+    log(`Calling OpenAI-compatible endpoint: ${baseUrl}`);
+
+    const body = {
+      model: request.model,
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.maxOutputTokens,
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    if (request.responseSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'article', strict: true, schema: toJSONSchema(request.responseSchema) }
+      };
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.OPENAI_COMPAT_API_KEY}`
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw providerError(`OpenAI-compatible request failed (${response.status}): ${errorBody.substring(0, 300)}`, response.status);
+    }
+
+    let text = '';
+    let usageMetadata = null;
+    let buffered = '';
+    const decoder = new TextDecoder();
+
+    for await (const bytes of response.body) {
+      buffered += decoder.decode(bytes, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const data = trimmed.substring(5).trim();
+        if (data === '[DONE]') continue;
+
+        const event = JSON.parse(data);
+        if (event.usage) {
+          usageMetadata = {
+            promptTokenCount: event.usage.prompt_tokens,
+            candidatesTokenCount: event.usage.completion_tokens,
+            totalTokenCount: event.usage.total_tokens
+          };
+        }
+
+        const delta = event.choices && event.choices[0] && event.choices[0].delta
+          ? event.choices[0].delta.content || ''
+          : '';
+        if (delta) {
+          text += delta;
+          if (request.onText) {
+            await request.onText(delta, text);
+          }
+        }
+      }
+    }
+
+    return { text, groundingMetadata: null, usageMetadata };
+  }
+};
+
+// --- Local mock -----------------------------------------------------------
+// Offline stand-in for tests and local runs. Model "mock-error-<status>" fails
+// with that status so fallback behaviour can be exercised.
+
+const mock = {
+  name: 'mock',
+
+  isConfigured() {
+    return true;
+  },
+
+  async generate(request, log) {
+    const failure = /^mock-error-(\d{3})$/.exec(request.model);
+    if (failure) {
+      throw providerError(`Mock provider failure (${failure[1]})`, Number(failure[1]));
+    }
+
+    if (process.env.MOCK_LLM_RESPONSE) {
+      const text = process.env.MOCK_LLM_RESPONSE;
+      if (request.onText) await request.onText(text, text);
+      return { text, groundingMetadata: null, usageMetadata: null };
+    }
+
+    const promptText = contentsToText(request.contents);
+    log(`Mock provider answering a ${promptText.length} character prompt`);
+
+    if (request.responseSchema) {
+      const text = JSON.stringify(sampleFromSchema(request.responseSchema));
+      if (request.onText) await request.onText(text, text);
+      return { text, groundingMetadata: null, usageMetadata: null };
+    }
+
+    let text = '<style>.article-h2 {}</style>\n';
+    for (let section = 1; section <= 4; section++) {
+      const delta = `<h2 class="article-h2">Section ${section}</h2>\n` +
+        `<p class="article-p">Mock content for section ${section}.</p>\n`;
+      text += delta;
+      if (request.onText) await request.onText(delta, text);
+    }
+
+    return {
+      text,
+      groundingMetadata: null,
+      usageMetadata: { promptTokenCount: Math.ceil(promptText.length / 4), candidatesTokenCount: Math.ceil(text.length / 4) }
+    };
+  }
+};
+
+export const PROVIDERS = { gemini, openai, mock };
+
+/**
+ * Try each { provider, model } in the chain until one succeeds.
+ * Returns { success, text, groundingMetadata, usageMetadata, provider, model, pricing, latencyMs, attempts }
+ * where attempts lists every provider tried and why it was skipped or failed, and
+ * pricing is the serving chain entry's price table (null when it has none).
+ */
+export async function generateWithFallback(chain, request, log, error) {
+  const attempts = [];
+
+  for (const entry of chain) {
+    const provider = PROVIDERS[entry.provider];
+    if (!provider) {
+      error(`Unknown provider in model chain: ${entry.provider}`);
+      attempts.push({ provider: entry.provider, model: entry.model, error: 'unknown provider' });
+      continue;
+    }
+    if (!entry.model || !provider.isConfigured()) {
+      log(`Skipping ${entry.provider}/${entry.model || '(no model)'}: not configured`);
+      attempts.push({ provider: entry.provider, model: entry.model, error: 'not configured' });
+      continue;
+    }
+
+    try {
+      log(`Generating with ${entry.provider}/${entry.model}`);
+      const startedAt = Date.now();
+      const result = await provider.generate({ ...request, model: entry.model }, log);
+      const latencyMs = Date.now() - startedAt;
+      attempts.push({ provider: entry.provider, model: entry.model, error: null });
+      return {
+        success: true,
+        ...result,
+        provider: entry.provider,
+        model: entry.model,
+        pricing: entry.pricing || null,
+        latencyMs,
+        attempts
+      };
+    } catch (err) {
+      error(`Provider ${entry.provider}/${entry.model} failed: ${err.message}`);
+      attempts.push({ provider: entry.provider, model: entry.model, error: err.message });
+
+      if (!isRetryableProviderError(err)) {
+        return { success: false, error: err.message, attempts };
+      }
+      log('Error is retryable, falling back to next provider');
+    }
+  }
+
+  const lastError = attempts.length > 0 ? attempts[attempts.length - 1].error : 'empty model chain';
+  return { success: false, error: `All providers failed (last error: ${lastError})`, attempts };
+}
@@ -0,0 +1,315 @@
+import { parseDocument } from 'htmlparser2';
+
+/**
+ * Article HTML sanitizer for createWithAI
+ *
+ * Parses model output into a DOM and re-serializes only what TinyMCE articles may
+ * contain: an allowlist of tags, the article CSS classes and safe link targets.
+ * Serializing from the DOM closes every tag, and a few nesting rules repair the
+ * common model mistakes (stray <li>, table cells outside tables, bare text).
+ * Everything that was changed is counted in a report for the tracking document.
+ */
+
+const ALLOWED_TAGS = new Set([
+  'h2', 'h3', 'h4', 'p', 'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  'strong', 'em', 'b', 'i', 'u', 'a', 'br', 'hr', 'blockquote', 'code', 'pre', 'div',
+  'span', 'sup', 'sub'
+]);
+
+// Dropped together with everything inside them
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math',
+  'form', 'input', 'button', 'select', 'textarea', 'link', 'meta', 'head', 'title', 'base'
+]);
+
+const VOID_TAGS = new Set(['br', 'hr']);
+
+const ALLOWED_ATTRIBUTES = {
+  '*': ['class'],
+  a: ['href', 'title'],
+  li: ['id'],
+  th: ['colspan', 'rowspan', 'scope'],
+  td: ['colspan', 'rowspan']
+};
+
+// Allowed attributes whose values are restricted further. Reference list items keep
+// the ids that footnote links point to, so re-sanitizing an article keeps its anchors.
+const ATTRIBUTE_VALUE_PATTERNS = {
+  id: /^ref-\d+$/
+};
+
+const SAFE_URL = /^(https?:|mailto:|#)/i;
+// Only links that leave the site open in a new tab; in-page footnote links stay put
+const EXTERNAL_URL = /^https?:/i;
+
+// Tags that are only valid directly inside one of the listed parents
+const REQUIRED_PARENTS = {
+  li: ['ul', 'ol'],
+  tr: ['table', 'thead', 'tbody'],
+  td: ['tr'],
+  th: ['tr'],
+  thead: ['table'],
+  tbody: ['table']
+};
+
+const BLOCK_TAGS = new Set(['h2', 'h3', 'h4', 'p', 'ul', 'ol', 'table', 'blockquote', 'pre', 'div', 'hr']);
+
+/**
+ * Collect the class names defined in a stylesheet (".dark" is a theme scope, not a class to emit).
+ */
+export function getStylesheetClasses(stylesheet) {
+  const classes = new Set();
+  for (const match of stylesheet.matchAll(/\.([a-zA-Z][\w-]*)/g)) {
+    if (match[1] !== 'dark') classes.add(match[1]);
+  }
+  return classes;
+}
+
+function createReport() {
+  return {
+    changed: false,
+    fencesStripped: false,
+    styleReplaced: false,
+    removedTags: {},
+    unwrappedTags: {},
+    removedAttributes: {},
+    removedClasses: {},
+    unsafeUrls: 0,
+    repairedNesting: 0,
+    wrappedText: 0
+  };
+}
+
+function count(bucket, key) {
+  bucket[key] = (bucket[key] || 0) + 1;
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function stripCodeFences(html, report) {
+  const trimmed = html.trim();
+  const fenced = /^```[a-zA-Z]*\s*\n([\s\S]*?)\n?```\s*$/.exec(trimmed);
+  if (fenced) {
+    report.fencesStripped = true;
+    return fenced[1];
+  }
+
+  // Fences left in the middle of the output (e.g. a closing ``` on its own line)
+  const withoutFenceLines = trimmed.replace(/^```[a-zA-Z]*\s*$/gm, '');
+  if (withoutFenceLines !== trimmed) {
+    report.fencesStripped = true;
+  }
+  return withoutFenceLines;
+}
+
+function renderAttributes(node, allowedClasses, report) {
+  const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[node.name] || [])];
+  const rendered = [];
+
+  for (const [name, rawValue] of Object.entries(node.attribs || {})) {
+    const attribute = name.toLowerCase();
+    if (!allowed.includes(attribute)) {
+      count(report.removedAttributes, attribute.startsWith('on') ? 'on*' : attribute);
+      continue;
+    }
+
+    let value = String(rawValue);
+    if (ATTRIBUTE_VALUE_PATTERNS[attribute] && !ATTRIBUTE_VALUE_PATTERNS[attribute].test(value)) {
+      count(report.removedAttributes, attribute);
+      continue;
+    }
+
+    if (attribute === 'class') {
+      const kept = value.split(/\s+/).filter(Boolean).filter(className => {
+        if (allowedClasses.has(className)) return true;
+        count(report.removedClasses, className);
+        return false;
+      });
+      if (kept.length === 0) continue;
+      value = kept.join(' ');
+    }
+
+    if (attribute === 'href') {
+      if (!SAFE_URL.test(value.trim())) {
+        report.unsafeUrls++;
+        continue;
+      }
+      value = value.trim();
+    }
+
+    rendered.push(` ${attribute}="${escapeAttribute(value)}"`);
+  }
+
+  if (node.name === 'a' && node.attribs && node.attribs.href && EXTERNAL_URL.test(node.attribs.href.trim())) {
+    rendered.push(' rel="noopener noreferrer" target="_blank"');
+  }
+
+  return rendered.join('');
+}
+
+// <p> cannot contain blocks; split it around them so the blocks become its siblings
+function splitParagraphs(nodes, report) {
+  const result = [];
+  for (const node of nodes) {
+    const isParagraph = node.type === 'tag' && (node.name || '').toLowerCase() === 'p';
+    const children = node.children || [];
+    const hasBlockChild = isParagraph && children.some(child =>
+      child.type === 'tag' && (BLOCK_TAGS.has(child.name) || child.name === 'li'));
+
+    if (!hasBlockChild) {
+      result.push(node);
+      continue;
+    }
+
+    report.repairedNesting++;
+    let inline = [];
+    const flushInline = () => {
+      if (inline.some(child => child.type !== 'text' || child.data.trim())) {
+        result.push({ type: 'tag', name: 'p', attribs: node.attribs, children: inline });
+      }
+      inline = [];
+    };
+
+    for (const child of children) {
+      if (child.type === 'tag' && (BLOCK_TAGS.has(child.name) || child.name === 'li')) {
+        flushInline();
+        result.push(...splitParagraphs([child], report));
+      } else {
+        inline.push(child);
+      }
+    }
+    flushInline();
+  }
+  return result;
+}
+
+// The parser turns a closing tag with nothing to close (</p>, </br>) into an empty
+// element; those are dropped instead of rendered
+function dropStrayClosingTags(nodes, source, report) {
+  return nodes.filter(node => {
+    if (node.type === 'tag' && source.startsWith('</', node.startIndex)) {
+      count(report.removedTags, `/${node.name}`);
+      return false;
+    }
+    if (node.children) node.children = dropStrayClosingTags(node.children, source, report);
+    return true;
+  });
+}
+
+function renderChildren(nodes, parentTag, allowedClasses, report) {
+  nodes = splitParagraphs(nodes, report);
+  let output = '';
+  let strayItems = '';
+
+  const flushStrayItems = () => {
+    if (strayItems) {
+      output += `<ul class="article-ul">${strayItems}</ul>\n`;
+      strayItems = '';
+    }
+  };
+  // Stray list items collected so far go out before anything that followed them
+  const emit = html => {
+    if (!html) return;
+    flushStrayItems();
+    output += html;
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      // Bare top-level text becomes a paragraph so TinyMCE gets block content
+      if (parentTag === null && node.data.trim()) {
+        report.wrappedText++;
+        emit(`<p class="article-p">${escapeText(node.data.trim())}</p>\n`);
+      } else if (parentTag !== null) {
+        emit(escapeText(node.data));
+      }
+      continue;
+    }
+
+    if (node.type === 'comment' || node.type === 'directive' || node.type === 'cdata') {
+      if (node.type !== 'directive') count(report.removedTags, `#${node.type}`);
+      continue;
+    }
+
+    const tag = (node.name || '').toLowerCase();
+
+    if (DROPPED_TAGS.has(tag) || node.type === 'script' || node.type === 'style') {
+      count(report.removedTags, tag);
+      continue;
+    }
+
+    if (!ALLOWED_TAGS.has(tag)) {
+      count(report.unwrappedTags, tag);
+      emit(renderChildren(node.children || [], parentTag, allowedClasses, report));
+      continue;
+    }
+
+    const requiredParents = REQUIRED_PARENTS[tag];
+    if (requiredParents && !requiredParents.includes(parentTag)) {
+      report.repairedNesting++;
+      if (tag === 'li' && parentTag === null) {
+        strayItems += renderElement(node, tag, allowedClasses, report);
+      } else {
+        emit(renderChildren(node.children || [], parentTag, allowedClasses, report));
+      }
+      continue;
+    }
+
+    // Links inside links and blocks inside inline-only parents are flattened
+    if ((tag === 'a' && parentTag === 'a') || (BLOCK_TAGS.has(tag) && ['h2', 'h3', 'h4', 'a', 'strong', 'em', 'span'].includes(parentTag))) {
+      report.repairedNesting++;
+      emit(renderChildren(node.children || [], parentTag, allowedClasses, report));
+      continue;
+    }
+
+    emit(renderElement(node, tag, allowedClasses, report) + (parentTag === null ? '\n' : ''));
+  }
+
+  flushStrayItems();
+  return output;
+}
+
+function renderElement(node, tag, allowedClasses, report) {
+  const attributes = renderAttributes(node, allowedClasses, report);
+  if (VOID_TAGS.has(tag)) {
+    return `<${tag}${attributes}>`;
+  }
+  return `<${tag}${attributes}>${renderChildren(node.children || [], tag, allowedClasses, report)}</${tag}>`;
+}
+
+/**
+ * Sanitize model-generated article HTML.
+ * The model's own <style> block is discarded and replaced with the trusted stylesheet.
+ * Returns { html, report }.
+ */
+export function sanitizeArticleHTML(html, { stylesheet = '', allowedClasses = getStylesheetClasses(stylesheet) } = {}) {
+  const report = createReport();
+  const source = stripCodeFences(html || '', report);
+
+  report.styleReplaced = /<style[\s>]/i.test(source);
+
+  const document = parseDocument(source, { lowerCaseTags: true, lowerCaseAttributeNames: true, withStartIndices: true });
+  const nodes = dropStrayClosingTags(document.children, source, report);
+  const body = renderChildren(nodes, null, allowedClasses, report);
+
+  // A replaced <style> block is expected, not a change worth reporting
+  if (report.removedTags.style) {
+    delete report.removedTags.style;
+  }
+
+  report.changed = report.fencesStripped ||
+    report.unsafeUrls > 0 ||
+    report.repairedNesting > 0 ||
+    report.wrappedText > 0 ||
+    [report.removedTags, report.unwrappedTags, report.removedAttributes, report.removedClasses]
+      .some(bucket => Object.keys(bucket).length > 0);
+
+  const styleBlock = stylesheet ? `<style>${stylesheet}</style>\n` : '';
+  return { html: `${styleBlock}${body}`, report };
+}
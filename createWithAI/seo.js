@@ -0,0 +1,125 @@
+/**
+ * SEO metadata for createWithAI articles
+ *
+ * Derives the listing and meta-tag fields the frontend needs (slug, meta description,
+ * keywords, reading time, word count, excerpt) from the final article HTML, so they
+ * never have to be re-parsed client side. Slug uniqueness is checked by the caller.
+ */
+
+const WORDS_PER_MINUTE = 200;
+const META_DESCRIPTION_LENGTH = 155;
+const EXCERPT_LENGTH = 300;
+const MAX_KEYWORDS = 8;
+const MAX_SLUG_LENGTH = 80;
+
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each even every few for from
+further get had has have having he her here hers him his how however i if in into is it its itself
+just like make many may me might more most much must my no nor not now of off on once one only or
+other our ours out over own same she should so some such than that the their theirs them then there
+these they this those through to too under until up use used using very was we well were what when
+where which while who whom why will with would you your yours
+`.trim().split(/\s+/));
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function textOf(html) {
+  return decodeEntities(String(html).replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Cut at the last word boundary that fits and mark the cut
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const slice = text.substring(0, maxLength - 1);
+  const wordEnd = slice.lastIndexOf(' ');
+  return `${(wordEnd > maxLength * 0.6 ? slice.substring(0, wordEnd) : slice).replace(/[\s,;:.-]+$/, '')}…`;
+}
+
+/**
+ * URL slug for a title: lower-case ASCII words joined by hyphens.
+ */
+export function slugify(title) {
+  const slug = String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= MAX_SLUG_LENGTH) return slug || 'article';
+  const cut = slug.substring(0, MAX_SLUG_LENGTH);
+  return cut.substring(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : MAX_SLUG_LENGTH);
+}
+
+/**
+ * Compute SEO fields from sanitized article HTML.
+ * summary and tags (from structured output) are preferred when present.
+ * Returns { metaDescription, keywords, readingTime, wordCount, excerpt }.
+ */
+export function buildSEOMetadata(html, { title = '', category = '', summary = '', tags = [] } = {}) {
+  const body = String(html || '').replace(/<style[\s\S]*?<\/style>/gi, '');
+
+  // Paragraph text only, so headings and lists do not end up in descriptions
+  const paragraphs = [...body.matchAll(/<p[^>]*>([\s\S]*?)<\/p>/gi)]
+    .map(match => textOf(match[1]))
+    .filter(Boolean);
+  const fullText = textOf(body);
+
+  const words = fullText.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word));
+  const wordCount = words.length;
+
+  const lead = paragraphs.join(' ') || fullText;
+  const metaDescription = truncate(textOf(summary) || lead, META_DESCRIPTION_LENGTH);
+  const excerpt = truncate(lead, EXCERPT_LENGTH);
+
+  return {
+    metaDescription,
+    keywords: extractKeywords(body, { title, category, tags }),
+    readingTime: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)),
+    wordCount,
+    excerpt
+  };
+}
+
+// Tags first, then the most frequent content words (title and heading words count extra)
+function extractKeywords(body, { title, category, tags }) {
+  const keywords = [];
+  const add = (keyword) => {
+    const normalized = keyword.toLowerCase().trim();
+    if (normalized && !keywords.includes(normalized) && keywords.length < MAX_KEYWORDS) {
+      keywords.push(normalized);
+    }
+  };
+
+  (Array.isArray(tags) ? tags : []).forEach(add);
+  if (category) add(category);
+
+  const headings = [...body.matchAll(/<h[2-4][^>]*>([\s\S]*?)<\/h[2-4]>/gi)].map(match => textOf(match[1]));
+  const frequency = new Map();
+  const countWords = (text, weight) => {
+    for (const word of text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || []) {
+      if (word.length < 4 || STOPWORDS.has(word) || /^\d+$/.test(word)) continue;
+      frequency.set(word, (frequency.get(word) || 0) + weight);
+    }
+  };
+  countWords(textOf(body), 1);
+  headings.forEach(heading => countWords(heading, 3));
+  countWords(title, 5);
+
+  [...frequency.entries()]
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .forEach(([word]) => add(word));
+
+  return keywords;
+}
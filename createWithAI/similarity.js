@@ -0,0 +1,55 @@
+/**
+ * Near-duplicate and copied-text detection for createWithAI
+ *
+ * Texts are compared as sets of word shingles (overlapping runs of N words). Two
+ * measures are used:
+ * - resemblance (Jaccard): how much two articles overlap overall; a high value means
+ *   the new article is a near-duplicate of an existing one
+ * - containment: the share of the new article's shingles found in a reference text;
+ *   a high value against a source means passages were copied from it verbatim
+ */
+
+function normalizeWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+export function buildShingles(text, size) {
+  const words = normalizeWords(text);
+  const shingles = new Set();
+  if (words.length === 0) return shingles;
+  if (words.length < size) {
+    shingles.add(words.join(' '));
+    return shingles;
+  }
+  for (let index = 0; index + size <= words.length; index++) {
+    shingles.add(words.slice(index, index + size).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * Compare the shingle set of a new text with a reference set.
+ * Returns { resemblance, containment }, both from 0 to 1, rounded to 3 places.
+ */
+export function compareShingles(candidate, reference) {
+  if (candidate.size === 0 || reference.size === 0) {
+    return { resemblance: 0, containment: 0 };
+  }
+
+  const [smaller, larger] = candidate.size <= reference.size ? [candidate, reference] : [reference, candidate];
+  let shared = 0;
+  for (const shingle of smaller) {
+    if (larger.has(shingle)) shared++;
+  }
+
+  const round = value => Math.round(value * 1000) / 1000;
+  return {
+    resemblance: round(shared / (candidate.size + reference.size - shared)),
+    containment: round(shared / candidate.size)
+  };
+}
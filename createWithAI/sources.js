@@ -0,0 +1,316 @@
+import { lookup as dnsLookup } from 'dns';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { pipeline } from 'stream';
+import zlib from 'zlib';
+import { DomUtils, parseDocument } from 'htmlparser2';
+import { extractText, getDocumentProxy } from 'unpdf';
+
+/**
+ * Source fetching for createWithAI
+ *
+ * Downloads the user-supplied source URLs with size, timeout and content-type limits,
+ * extracts readable main text from HTML, plain text and PDF, and trims the excerpts to
+ * a shared token budget so the model sees content instead of bare URLs.
+ *
+ * Private, loopback and link-local addresses are refused (including on redirects and in
+ * IPv6 forms that embed an IPv4 address) unless allowPrivateHosts is set, which local test
+ * servers need. The address that passed the check is the one the socket connects to.
+ */
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const TEXT_TYPES = ['text/plain', 'text/markdown'];
+const PDF_TYPES = ['application/pdf'];
+
+// Never part of the readable article text
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'nav', 'header', 'footer', 'aside',
+  'form', 'button', 'iframe', 'head'
+]);
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'li', 'ul', 'ol', 'table', 'tr', 'br', 'hr',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre'
+]);
+
+// Rough characters-per-token ratio used to turn the token budget into a length
+const CHARS_PER_TOKEN = 4;
+
+// Destinations that must never be fetched: private, loopback, link-local (including cloud
+// metadata at 169.254.169.254), carrier-grade NAT, benchmarking, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8],
+  ['64:ff9b:1::', 48], ['2001::', 32]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Expand an IPv6 address into its eight 16-bit groups. The URL parser canonicalises
+// dotted-quad tails (::ffff:127.0.0.1 → ::ffff:7f00:1) so only hex groups remain.
+function parseIPv6Groups(address) {
+  const canonical = new URL(`http://[${address}]`).hostname.slice(1, -1);
+  const [head, tail] = canonical.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const padding = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...padding, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+// The IPv4 address carried inside an IPv4-mapped, IPv4-compatible, SIIT-translated,
+// NAT64 (64:ff9b::/96) or 6to4 (2002::/16) IPv6 address, or null
+function getEmbeddedIPv4(groups) {
+  const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  const zeroUpTo = count => groups.slice(0, count).every(group => group === 0);
+
+  if (zeroUpTo(5) && groups[5] === 0xffff) return toIPv4(groups[6], groups[7]);
+  if (zeroUpTo(6)) return toIPv4(groups[6], groups[7]);
+  if (zeroUpTo(4) && groups[4] === 0xffff && groups[5] === 0) return toIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return toIPv4(groups[6], groups[7]);
+  }
+  if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+  return null;
+}
+
+export function isPrivateAddress(rawAddress) {
+  const address = String(rawAddress).replace(/^\[|\]$/g, '').split('%')[0];
+  const family = isIP(address);
+
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family === 6) {
+    if (BLOCKED_ADDRESSES.check(address, 'ipv6')) return true;
+    const embedded = getEmbeddedIPv4(parseIPv6Groups(address));
+    return embedded !== null && BLOCKED_ADDRESSES.check(embedded, 'ipv4');
+  }
+  // Anything that is not a parseable address is refused rather than guessed at
+  return true;
+}
+
+/**
+ * dns.lookup replacement handed to the socket: every resolved address is checked and the
+ * connection goes to one of those same addresses, so a second (rebinding) DNS answer
+ * never gets a chance to point the request somewhere else.
+ */
+function createGuardedLookup(allowPrivateHosts) {
+  return (hostname, options, callback) => {
+    dnsLookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      if (!allowPrivateHosts && addresses.some(entry => isPrivateAddress(entry.address))) {
+        return callback(new Error('Refusing to fetch a private or local address'));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+function requestOnce(url, limits, signal) {
+  // IP literals never reach the lookup hook, so they are checked here
+  if (!limits.allowPrivateHosts && isIP(url.hostname.replace(/^\[|\]$/g, '')) && isPrivateAddress(url.hostname)) {
+    return Promise.reject(new Error('Refusing to fetch a private or local address'));
+  }
+
+  const transport = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, {
+      method: 'GET',
+      signal,
+      agent: false,
+      lookup: createGuardedLookup(limits.allowPrivateHosts),
+      headers: {
+        'User-Agent': 'KnowspaceSourceFetcher/1.0',
+        Accept: 'text/html, text/plain, application/pdf;q=0.9, */*;q=0.1',
+        'Accept-Encoding': 'gzip, deflate, br'
+      }
+    }, resolve);
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+function decodeBody(response) {
+  const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+  const noop = () => {};
+  if (encoding === 'gzip' || encoding === 'x-gzip') return pipeline(response, zlib.createGunzip(), noop);
+  if (encoding === 'deflate') return pipeline(response, zlib.createInflate(), noop);
+  if (encoding === 'br') return pipeline(response, zlib.createBrotliDecompress(), noop);
+  return response;
+}
+
+async function readLimited(response, maxBytes) {
+  const declared = Number(response.headers['content-length']);
+  if (declared && declared > maxBytes) {
+    throw new Error(`Response too large (${declared} bytes, limit ${maxBytes})`);
+  }
+
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of decodeBody(response)) {
+    total += chunk.length;
+    if (total > maxBytes) {
+      throw new Error(`Response too large (over ${maxBytes} bytes)`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+async function fetchWithLimits(rawUrl, limits) {
+  let url = new URL(rawUrl);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), limits.timeoutMs);
+  let response = null;
+
+  try {
+    // Follow redirects by hand so every hop is checked against the host rules
+    for (let hop = 0; hop <= limits.maxRedirects; hop++) {
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new Error(`Unsupported protocol: ${url.protocol}`);
+      }
+
+      response = await requestOnce(url, limits, controller.signal);
+      const status = response.statusCode;
+
+      if (status >= 300 && status < 400 && response.headers.location) {
+        response.resume();
+        url = new URL(response.headers.location, url);
+        continue;
+      }
+      if (status < 200 || status >= 300) {
+        throw new Error(`HTTP ${status}`);
+      }
+
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (![...HTML_TYPES, ...TEXT_TYPES, ...PDF_TYPES].includes(contentType)) {
+        throw new Error(`Unsupported content type: ${contentType || 'unknown'}`);
+      }
+
+      const body = await readLimited(response, limits.maxBytes);
+      return { finalUrl: url.toString(), status, contentType, body };
+    }
+    throw new Error('Too many redirects');
+  } catch (err) {
+    if (err.name === 'AbortError' || controller.signal.aborted) {
+      throw new Error(`Timed out after ${limits.timeoutMs}ms`);
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    if (response) response.destroy();
+  }
+}
+
+function collapseWhitespace(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+export function extractHTMLText(html) {
+  const document = parseDocument(html);
+  const titleNode = DomUtils.findOne(node => node.name === 'title', document.children);
+  const title = titleNode ? DomUtils.textContent(titleNode).trim() : '';
+
+  // Prefer the page's main content container over the whole body
+  const root = DomUtils.findOne(node => node.name === 'article', document.children) ||
+    DomUtils.findOne(node => node.name === 'main', document.children) ||
+    DomUtils.findOne(node => node.name === 'body', document.children) ||
+    document;
+
+  const parts = [];
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        parts.push(node.data);
+      } else if (node.children && !SKIPPED_TAGS.has(node.name) && node.type !== 'script' && node.type !== 'style') {
+        if (BLOCK_TAGS.has(node.name)) parts.push('\n');
+        walk(node.children);
+        if (BLOCK_TAGS.has(node.name)) parts.push('\n');
+      }
+    }
+  };
+  walk(root.children || []);
+
+  return { title, text: collapseWhitespace(parts.join('')) };
+}
+
+async function extractPDFText(buffer) {
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const { text } = await extractText(pdf, { mergePages: true });
+  return collapseWhitespace(Array.isArray(text) ? text.join('\n') : text);
+}
+
+// Cut at the last sentence or word boundary that fits
+function trimToLength(text, maxChars) {
+  if (text.length <= maxChars) return text;
+
+  const slice = text.substring(0, maxChars);
+  const sentenceEnd = Math.max(slice.lastIndexOf('. '), slice.lastIndexOf('.\n'));
+  if (sentenceEnd > maxChars * 0.6) return slice.substring(0, sentenceEnd + 1);
+
+  const wordEnd = slice.lastIndexOf(' ');
+  return (wordEnd > 0 ? slice.substring(0, wordEnd) : slice) + ' …';
+}
+
+async function fetchSource(url, limits, log, error) {
+  const result = { url, status: 'failed', httpStatus: null, contentType: null, bytes: 0, chars: 0, title: '', excerpt: '', error: null };
+  try {
+    log(`Fetching source: ${url}`);
+    const fetched = await fetchWithLimits(url, limits);
+    result.httpStatus = fetched.status;
+    result.contentType = fetched.contentType;
+    result.bytes = fetched.body.length;
+
+    if (PDF_TYPES.includes(fetched.contentType)) {
+      result.excerpt = await extractPDFText(fetched.body);
+    } else if (HTML_TYPES.includes(fetched.contentType)) {
+      const extracted = extractHTMLText(fetched.body.toString('utf8'));
+      result.title = extracted.title;
+      result.excerpt = extracted.text;
+    } else {
+      result.excerpt = collapseWhitespace(fetched.body.toString('utf8'));
+    }
+
+    if (!result.excerpt) {
+      throw new Error('No readable text found');
+    }
+    result.status = 'ok';
+    log(`✓ Source fetched: ${url} (${fetched.contentType}, ${result.bytes} bytes, ${result.excerpt.length} characters of text)`);
+  } catch (err) {
+    result.error = err.message;
+    result.excerpt = '';
+    error(`Source fetch failed for ${url}: ${err.message}`);
+  }
+  return result;
+}
+
+/**
+ * Fetch and extract every source in parallel.
+ * Returns [{ url, status: 'ok' | 'failed', httpStatus, contentType, bytes, chars, title, excerpt, error }]
+ * in input order; excerpts share limits.tokenBudget.
+ */
+export async function fetchSources(urls, limits, log, error) {
+  const results = await Promise.all(urls.map(url => fetchSource(url, limits, log, error)));
+
+  // Split the budget evenly across the sources that produced text
+  const successful = results.filter(result => result.status === 'ok');
+  if (successful.length > 0) {
+    const perSource = Math.floor((limits.tokenBudget * CHARS_PER_TOKEN) / successful.length);
+    for (const result of successful) {
+      result.excerpt = trimToLength(result.excerpt, perSource);
+      result.chars = result.excerpt.length;
+    }
+  }
+
+  return results;
+}
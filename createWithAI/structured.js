@@ -0,0 +1,229 @@
+import { Type } from '@google/genai';
+
+/**
+ * Structured (JSON) article output for createWithAI
+ *
+ * In JSON mode the model is constrained to ARTICLE_SCHEMA instead of writing free-form
+ * HTML. The result is validated here and rendered to the same TinyMCE markup and
+ * article-* classes the HTML mode produces, so the rest of the pipeline is unchanged.
+ * The title is the one the user asked for, so the model is not asked to repeat it.
+ *
+ * Section bodies are plain text: paragraphs are separated by a blank line and lines
+ * starting with "- " become a bulleted list.
+ */
+
+export const ARTICLE_SCHEMA = {
+  type: Type.OBJECT,
+  properties: {
+    summary: { type: Type.STRING, description: 'Two or three sentence summary of the article' },
+    sections: {
+      type: Type.ARRAY,
+      description: 'Main sections in reading order',
+      items: {
+        type: Type.OBJECT,
+        properties: {
+          heading: { type: Type.STRING },
+          body: { type: Type.STRING, description: 'Plain text; blank line between paragraphs, "- " for bullets' }
+        },
+        required: ['heading', 'body'],
+        propertyOrdering: ['heading', 'body']
+      }
+    },
+    tags: {
+      type: Type.ARRAY,
+      description: 'Three to six short topic tags',
+      items: { type: Type.STRING }
+    },
+    faq: {
+      type: Type.ARRAY,
+      items: {
+        type: Type.OBJECT,
+        properties: {
+          question: { type: Type.STRING },
+          answer: { type: Type.STRING }
+        },
+        required: ['question', 'answer'],
+        propertyOrdering: ['question', 'answer']
+      }
+    }
+  },
+  required: ['summary', 'sections', 'tags', 'faq'],
+  propertyOrdering: ['summary', 'sections', 'tags', 'faq']
+};
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderBody(body) {
+  const blocks = String(body).split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+
+  return blocks.map(block => {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.every(line => line.startsWith('- '))) {
+      const items = lines.map(line => `<li class="article-li">${escapeHTML(line.substring(2))}</li>`).join('');
+      return `<ul class="article-ul">${items}</ul>`;
+    }
+    return `<p class="article-p">${escapeHTML(lines.join(' '))}</p>`;
+  }).join('\n');
+}
+
+/**
+ * Parse and check model output against ARTICLE_SCHEMA.
+ * Returns { success, article } or { success: false, error }.
+ */
+export function parseStructuredArticle(text) {
+  let article;
+  try {
+    const json = String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+    article = JSON.parse(json);
+  } catch (err) {
+    return { success: false, error: `Structured output is not valid JSON: ${err.message}` };
+  }
+
+  if (!article || !Array.isArray(article.sections) || article.sections.length === 0) {
+    return { success: false, error: 'Structured output has no sections' };
+  }
+
+  const badSection = article.sections.findIndex(section =>
+    !section || typeof section.heading !== 'string' || typeof section.body !== 'string' || !section.body.trim());
+  if (badSection !== -1) {
+    return { success: false, error: `Structured output section ${badSection + 1} is missing a heading or body` };
+  }
+
+  return {
+    success: true,
+    article: {
+      summary: typeof article.summary === 'string' ? article.summary : '',
+      sections: article.sections.map(section => ({ heading: section.heading.trim(), body: section.body })),
+      tags: Array.isArray(article.tags) ? article.tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim()) : [],
+      faq: Array.isArray(article.faq)
+        ? article.faq.filter(item => item && typeof item.question === 'string' && typeof item.answer === 'string')
+        : []
+    }
+  };
+}
+
+/**
+ * Render a parsed structured article to TinyMCE HTML (without the stylesheet,
+ * which the sanitizer adds).
+ */
+export function renderStructuredArticle(article) {
+  const parts = [];
+
+  if (article.summary) {
+    parts.push(`<div class="highlight-info"><p class="article-p">${escapeHTML(article.summary)}</p></div>`);
+  }
+
+  for (const section of article.sections) {
+    parts.push(`<h2 class="article-h2">${escapeHTML(section.heading)}</h2>`);
+    parts.push(renderBody(section.body));
+  }
+
+  if (article.faq.length > 0) {
+    parts.push('<h2 class="article-h2">Frequently Asked Questions</h2>');
+    for (const item of article.faq) {
+      parts.push(`<h3 class="article-h3">${escapeHTML(item.question)}</h3>`);
+      parts.push(renderBody(item.answer));
+    }
+  }
+
+  return parts.join('\n');
+}
+
+// Long-form mode: the outline pass is schema-constrained so every section has a plan
+export const OUTLINE_SCHEMA = {
+  type: Type.OBJECT,
+  properties: {
+    sections: {
+      type: Type.ARRAY,
+      items: {
+        type: Type.OBJECT,
+        properties: {
+          heading: { type: Type.STRING },
+          keyPoints: { type: Type.ARRAY, items: { type: Type.STRING } },
+          targetWords: { type: Type.INTEGER }
+        },
+        required: ['heading', 'keyPoints', 'targetWords'],
+        propertyOrdering: ['heading', 'keyPoints', 'targetWords']
+      }
+    }
+  },
+  required: ['sections']
+};
+
+/**
+ * Parse an outline produced with OUTLINE_SCHEMA.
+ * Returns { success, sections: [{ heading, keyPoints, targetWords }] } or { success: false, error }.
+ */
+export function parseOutline(text, defaultTargetWords) {
+  let outline;
+  try {
+    outline = JSON.parse(String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, ''));
+  } catch (err) {
+    return { success: false, error: `Outline is not valid JSON: ${err.message}` };
+  }
+
+  const sections = (outline && Array.isArray(outline.sections) ? outline.sections : [])
+    .filter(section => section && typeof section.heading === 'string' && section.heading.trim())
+    .map(section => ({
+      heading: section.heading.trim(),
+      keyPoints: Array.isArray(section.keyPoints) ? section.keyPoints.filter(point => typeof point === 'string') : [],
+      targetWords: Number.isInteger(section.targetWords) && section.targetWords > 0 ? section.targetWords : defaultTargetWords
+    }));
+
+  if (sections.length === 0) {
+    return { success: false, error: 'Outline has no sections' };
+  }
+  return { success: true, sections };
+}
+
+// Series mode: one entry per article, in reading order
+export const SERIES_OUTLINE_SCHEMA = {
+  type: Type.OBJECT,
+  properties: {
+    articles: {
+      type: Type.ARRAY,
+      items: {
+        type: Type.OBJECT,
+        properties: {
+          title: { type: Type.STRING },
+          summary: { type: Type.STRING, description: 'Two or three sentences on what this article covers and what it leaves to the others' }
+        },
+        required: ['title', 'summary'],
+        propertyOrdering: ['title', 'summary']
+      }
+    }
+  },
+  required: ['articles']
+};
+
+/**
+ * Parse a series outline produced with SERIES_OUTLINE_SCHEMA, keeping at most count entries.
+ * Returns { success, articles: [{ title, summary }] } or { success: false, error }.
+ */
+export function parseSeriesOutline(text, count) {
+  let outline;
+  try {
+    outline = JSON.parse(String(text).trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, ''));
+  } catch (err) {
+    return { success: false, error: `Series outline is not valid JSON: ${err.message}` };
+  }
+
+  const articles = (outline && Array.isArray(outline.articles) ? outline.articles : [])
+    .filter(article => article && typeof article.title === 'string' && article.title.trim())
+    .map(article => ({
+      title: article.title.trim(),
+      summary: typeof article.summary === 'string' ? article.summary.trim() : ''
+    }))
+    .slice(0, count);
+
+  if (articles.length < count) {
+    return { success: false, error: `Series outline has ${articles.length} articles, expected ${count}` };
+  }
+  return { success: true, articles };
+}
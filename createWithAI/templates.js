@@ -0,0 +1,99 @@
+import { readFileSync } from 'fs';
+
+/**
+ * Article template registry for createWithAI
+ *
+ * Templates (templates.json, or the file named by ARTICLE_TEMPLATES_PATH) give a
+ * category its own persona, structure brief, extra rules, allowed CSS classes and
+ * length presets. A request may name a template; otherwise the first template listing
+ * the article's category is used, and "default" reproduces the generic article brief.
+ *
+ * Template shape:
+ *   { name, categories: [], persona, structure, rules: [], allowedClasses: [] | null,
+ *     lengths: { <style>: { wordCount, sections, description } } }
+ * persona may contain {category}; allowedClasses null means every stylesheet class.
+ */
+
+const RAW_TEMPLATES = JSON.parse(readFileSync(
+  process.env.ARTICLE_TEMPLATES_PATH || new URL('./templates.json', import.meta.url),
+  'utf8'
+));
+
+if (!RAW_TEMPLATES.default) {
+  throw new Error('Article templates must define a "default" template');
+}
+
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Prompt building reads every field, so each one is checked when the file is loaded
+const FIELD_CHECKS = {
+  name: value => typeof value === 'string',
+  categories: isStringList,
+  persona: value => typeof value === 'string' && value.trim() !== '',
+  structure: value => value === null || typeof value === 'string',
+  rules: isStringList,
+  allowedClasses: value => value === null || isStringList(value),
+  lengths: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+};
+
+// Used for fields the default template itself leaves out or gets wrong
+const BASE_TEMPLATE = {
+  name: 'Standard article',
+  categories: [],
+  persona: 'a {category} expert',
+  structure: null,
+  rules: [],
+  allowedClasses: null,
+  lengths: {}
+};
+
+// Missing or malformed fields fall back to the default template's, with a warning
+function normalizeTemplate(id, template, fallback) {
+  const source = template && typeof template === 'object' ? template : {};
+  const normalized = {};
+  for (const [field, isValid] of Object.entries(FIELD_CHECKS)) {
+    if (isValid(source[field])) {
+      normalized[field] = source[field];
+    } else {
+      console.warn(`Article template "${id}": ${field} is missing or invalid, using the default`);
+      normalized[field] = fallback[field];
+    }
+  }
+  return normalized;
+}
+
+const TEMPLATES = { default: normalizeTemplate('default', RAW_TEMPLATES.default, BASE_TEMPLATE) };
+for (const [id, template] of Object.entries(RAW_TEMPLATES)) {
+  if (id !== 'default') {
+    TEMPLATES[id] = normalizeTemplate(id, template, { ...TEMPLATES.default, name: id, categories: [] });
+  }
+}
+
+// Own keys only, so ids such as "constructor" or "toString" are not templates
+function hasTemplate(templateId) {
+  return typeof templateId === 'string' && Object.hasOwn(TEMPLATES, templateId);
+}
+
+export function getTemplate(templateId) {
+  const id = hasTemplate(templateId) ? templateId : 'default';
+  return { id, ...TEMPLATES[id] };
+}
+
+/**
+ * Pick the template for a request: the requested one, else the first whose categories
+ * include the article category, else "default". Returns { success, templateId } or
+ * { success: false, error } for an unknown requested template.
+ */
+export function resolveTemplate(requestedId, category) {
+  if (requestedId !== undefined && requestedId !== null && requestedId !== '') {
+    if (!hasTemplate(requestedId)) {
+      return { success: false, error: `Unknown template. Must be one of: ${Object.keys(TEMPLATES).join(', ')}` };
+    }
+    return { success: true, templateId: requestedId };
+  }
+
+  const normalized = String(category || '').trim().toLowerCase();
+  const match = Object.entries(TEMPLATES).find(([, template]) =>
+    (template.categories || []).some(name => name.toLowerCase() === normalized));
+  return { success: true, templateId: match ? match[0] : 'default' };
+}
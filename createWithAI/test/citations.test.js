@@ -0,0 +1,61 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { renderFootnotes } from '../citations.js';
+import { sanitizeArticleHTML } from '../sanitizer.js';
+
+const allowedClasses = new Set(['article-h2', 'article-p', 'article-ol', 'article-li', 'article-references', 'article-citation']);
+
+const article = '<h2 class="article-h2">Intro</h2>\n' +
+  '<p class="article-p">Solar panels convert sunlight into electricity with no moving parts.</p>\n' +
+  '<p class="article-p">Wind turbines work best on exposed ridges and offshore sites.</p>\n';
+
+const citations = {
+  references: [
+    { number: 1, uri: 'https://example.com/solar', title: 'Solar basics' },
+    { number: 2, uri: 'https://example.com/wind', title: 'Wind siting' }
+  ],
+  supports: [
+    { text: 'Solar panels convert sunlight into electricity with no moving parts.', numbers: [1] },
+    { text: 'Wind turbines work best on exposed ridges and offshore sites.', numbers: [2] }
+  ]
+};
+
+function getAnchors(html) {
+  const links = [...html.matchAll(/href="#(ref-\d+)"/g)].map(match => match[1]);
+  const targets = new Set([...html.matchAll(/id="(ref-\d+)"/g)].map(match => match[1]));
+  return { links, targets };
+}
+
+describe('footnotes', () => {
+  it('links every marker to a reference list item', () => {
+    const { html, placed } = renderFootnotes(article, citations);
+    const { links, targets } = getAnchors(html);
+    assert.equal(placed, 2);
+    assert.deepEqual(links, ['ref-1', 'ref-2']);
+    assert.deepEqual([...targets], ['ref-1', 'ref-2']);
+  });
+
+  it('keeps working anchors when a revised article is sanitized again', () => {
+    const footnoted = renderFootnotes(article, citations).html;
+    // Generation sanitizes once; revisions and translations sanitize the stored article again
+    const revised = sanitizeArticleHTML(sanitizeArticleHTML(footnoted, { allowedClasses }).html, { allowedClasses });
+    const { links, targets } = getAnchors(revised.html);
+    assert.equal(links.length, 2);
+    for (const link of links) assert.ok(targets.has(link), `no target for #${link}`);
+    assert.equal(revised.report.removedAttributes.id, undefined);
+  });
+
+  it('keeps footnote links in the same tab after sanitizing', () => {
+    const { html } = sanitizeArticleHTML(renderFootnotes(article, citations).html, { allowedClasses });
+    const markers = html.match(/<a href="#ref-\d+"[^>]*>/g);
+    assert.equal(markers.length, 2);
+    for (const marker of markers) assert.doesNotMatch(marker, /target=/);
+    assert.match(html, /<a href="https:\/\/example\.com\/solar" rel="noopener noreferrer" target="_blank">/);
+  });
+
+  it('drops ids that are not reference anchors', () => {
+    const { html, report } = sanitizeArticleHTML('<ol class="article-ol"><li id="main">x</li><li id="ref-3">y</li></ol><p id="ref-4">z</p>', { allowedClasses });
+    assert.equal(html, '<ol class="article-ol"><li>x</li><li id="ref-3">y</li></ol>\n<p>z</p>\n');
+    assert.deepEqual(report.removedAttributes, { id: 2 });
+  });
+});
@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { generateWithFallback } from '../providers.js';
+
+// Chains as MODEL_CHAINS configures them, served entirely by the offline mock provider
+const chains = {
+  basic: [{ provider: 'mock', model: 'mock-article', pricing: { input: 0, output: 0 } }],
+  fallback: [{ provider: 'mock', model: 'mock-error-503' }, { provider: 'mock', model: 'mock-article' }],
+  fatal: [{ provider: 'mock', model: 'mock-error-400' }, { provider: 'mock', model: 'mock-article' }],
+  unknown: [{ provider: 'nowhere', model: 'x' }, { provider: 'mock', model: 'mock-article' }]
+};
+
+const request = { systemInstruction: 'Write an article', contents: [{ role: 'user', parts: [{ text: 'Composting' }] }] };
+const noop = () => {};
+
+describe('generateWithFallback', () => {
+  it('records the provider and model that served the request', async () => {
+    const streamed = [];
+    const result = await generateWithFallback(chains.basic, { ...request, onText: delta => streamed.push(delta) }, noop, noop);
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'mock');
+    assert.equal(result.model, 'mock-article');
+    assert.deepEqual(result.pricing, { input: 0, output: 0 });
+    assert.deepEqual(result.attempts, [{ provider: 'mock', model: 'mock-article', error: null }]);
+    assert.match(result.text, /<h2 class="article-h2">Section 1<\/h2>/);
+    assert.equal(streamed.length, 4);
+  });
+
+  it('falls through to the next provider on a retryable failure', async () => {
+    const result = await generateWithFallback(chains.fallback, request, noop, noop);
+    assert.equal(result.success, true);
+    assert.equal(result.model, 'mock-article');
+    assert.equal(result.attempts.length, 2);
+    assert.match(result.attempts[0].error, /503/);
+    assert.equal(result.attempts[1].error, null);
+  });
+
+  it('stops at a failure the next provider would repeat', async () => {
+    const result = await generateWithFallback(chains.fatal, request, noop, noop);
+    assert.equal(result.success, false);
+    assert.equal(result.attempts.length, 1);
+    assert.match(result.error, /400/);
+  });
+
+  it('skips providers it does not know', async () => {
+    const result = await generateWithFallback(chains.unknown, request, noop, noop);
+    assert.equal(result.model, 'mock-article');
+    assert.equal(result.attempts[0].error, 'unknown provider');
+  });
+
+  it('reports the last error when every provider fails', async () => {
+    const result = await generateWithFallback([{ provider: 'mock', model: 'mock-error-429' }], request, noop, noop);
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'All providers failed (last error: Mock provider failure (429))');
+  });
+});
@@ -0,0 +1,148 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { Databases, Users } from 'node-appwrite';
+
+// The handler reads its configuration when it is imported
+Object.assign(process.env, {
+  APPWRITE_FUNCTION_API_ENDPOINT: 'http://appwrite.test/v1',
+  APPWRITE_FUNCTION_PROJECT_ID: 'test',
+  DATABASE_ID: 'db',
+  ARTICLES_COLLECTION_ID: 'articles',
+  TRACKING_COLLECTION_ID: 'tracking',
+  USAGE_LEDGER_COLLECTION_ID: 'ledger',
+  MODEL_CHAINS: JSON.stringify({ basic: [{ provider: 'mock', model: 'mock-article' }] }),
+  MODERATION_ENABLED: 'false',
+  RATE_LIMIT_ENABLED: 'false',
+  SIMILARITY_MODE: 'off'
+});
+
+// In-memory stand-in for the Appwrite collections and user prefs the quota code touches
+let collections = {};
+let prefs = {};
+let failPrefsWrites = false;
+let failLedgerCreate = null;
+let clock = 0;
+
+const appwriteError = (message, code) => Object.assign(new Error(message), { code });
+const collection = id => (collections[id] ||= new Map());
+
+function matches(doc, query) {
+  const [value] = query.values || [];
+  switch (query.method) {
+    case 'equal': return query.values.includes(doc[query.attribute]);
+    case 'notEqual': return !query.values.includes(doc[query.attribute]);
+    case 'greaterThan': return doc[query.attribute] > value;
+    case 'lessThan': return doc[query.attribute] < value;
+    case 'or': return query.values.some(inner => matches(doc, inner));
+    case 'and': return query.values.every(inner => matches(doc, inner));
+    default: return true;
+  }
+}
+
+Databases.prototype.createDocument = async function (databaseId, collectionId, documentId, data) {
+  if (collectionId === 'ledger' && failLedgerCreate) throw failLedgerCreate;
+  const docs = collection(collectionId);
+  const id = documentId === 'unique()' ? `doc${++clock}` : documentId;
+  if (docs.has(id)) throw appwriteError('Document already exists', 409);
+  const timestamp = new Date(Date.now() + ++clock).toISOString();
+  const doc = { $id: id, $createdAt: timestamp, $updatedAt: timestamp, ...data };
+  docs.set(id, doc);
+  return { ...doc };
+};
+
+Databases.prototype.getDocument = async function (databaseId, collectionId, documentId) {
+  const doc = collection(collectionId).get(documentId);
+  if (!doc) throw appwriteError('Document not found', 404);
+  return { ...doc };
+};
+
+Databases.prototype.updateDocument = async function (databaseId, collectionId, documentId, data) {
+  const doc = collection(collectionId).get(documentId);
+  if (!doc) throw appwriteError('Document not found', 404);
+  Object.assign(doc, data, { $updatedAt: new Date().toISOString() });
+  return { ...doc };
+};
+
+Databases.prototype.deleteDocument = async function (databaseId, collectionId, documentId) {
+  collection(collectionId).delete(documentId);
+};
+
+Databases.prototype.listDocuments = async function (databaseId, collectionId, queries = []) {
+  const parsed = queries.map(query => JSON.parse(query));
+  let documents = [...collection(collectionId).values()].filter(doc => parsed.every(query => matches(doc, query)));
+  const limit = parsed.find(query => query.method === 'limit');
+  if (limit) documents = documents.slice(0, limit.values[0]);
+  return { total: documents.length, documents: documents.map(doc => ({ ...doc })) };
+};
+
+Users.prototype.getPrefs = async function (userId) {
+  return { ...(prefs[userId] || {}) };
+};
+
+Users.prototype.updatePrefs = async function (userId, value) {
+  // A write that reports success but does not stick, as seen when two writes race
+  if (!failPrefsWrites) prefs[userId] = { ...value };
+  return value;
+};
+
+const { default: handler } = await import('../index.js');
+
+async function generate(trackingId) {
+  collection('tracking').set(trackingId, { $id: trackingId });
+  let response;
+  const res = { json: (body, status = 200) => (response = { status, body }) };
+  const body = JSON.stringify({ prompt: 'Composting at home', title: 'Composting', category: 'Gardening', trackingId });
+  await handler({
+    req: { method: 'POST', headers: { 'x-appwrite-user-id': 'user1' }, body, bodyText: body },
+    res,
+    log: () => {},
+    error: () => {}
+  });
+  return response;
+}
+
+const ledgerEntries = trackingId => [...collection('ledger').values()].filter(doc => doc.trackingId === trackingId);
+
+describe('quota commit', () => {
+  beforeEach(() => {
+    collections = {};
+    prefs = { user1: { basic_uses: 2 } };
+    failPrefsWrites = false;
+    failLedgerCreate = null;
+  });
+
+  it('keeps an unconfirmed decrement counting against the user after the reservation expires', async () => {
+    failPrefsWrites = true;
+    const response = await generate('t1');
+    assert.equal(response.status, 200);
+    const [entry] = ledgerEntries('t1');
+    assert.equal(entry.status, 'commit_failed');
+    assert.match(collection('tracking').get('t1').error, /^Commit failed/);
+
+    // Long past RESERVATION_TTL_MS, the failed commit still holds its use
+    entry.$createdAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    prefs.user1 = { basic_uses: 1 };
+    const rejected = await generate('t2');
+    assert.equal(rejected.status, 403);
+    assert.equal(rejected.body.error, 'Insufficient basic uses.');
+  });
+
+  it('applies a failed commit with the next successful one', async () => {
+    failPrefsWrites = true;
+    await generate('t1');
+    failPrefsWrites = false;
+    prefs.user1 = { basic_uses: 3 };
+
+    const response = await generate('t2');
+    assert.equal(response.status, 200);
+    assert.equal(prefs.user1.basic_uses, 1);
+    assert.deepEqual([ledgerEntries('t1')[0].status, ledgerEntries('t2')[0].status], ['committed', 'committed']);
+  });
+
+  it('reports a ledger outage as a server error rather than exhausted quota', async () => {
+    failLedgerCreate = appwriteError('Collection with the requested ID could not be found.', 404);
+    const response = await generate('t1');
+    assert.equal(response.status, 500);
+    assert.equal(response.body.error, 'Could not reserve quota, please try again');
+  });
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getStylesheetClasses, sanitizeArticleHTML } from '../sanitizer.js';
+
+const allowedClasses = new Set(['article-h2', 'article-p', 'article-ul', 'article-li']);
+const sanitize = html => sanitizeArticleHTML(html, { allowedClasses });
+
+describe('sanitizeArticleHTML', () => {
+  it('strips fences, scripts, event handlers and unknown classes', () => {
+    const { html, report } = sanitize('```html\n<h2 class="article-h2 big">Title</h2><p onclick="x()" style="color:red">Hi</p><script>alert(1)</script>\n```');
+    assert.equal(html, '<h2 class="article-h2">Title</h2>\n<p>Hi</p>\n');
+    assert.equal(report.fencesStripped, true);
+    assert.deepEqual(report.removedTags, { script: 1 });
+    assert.deepEqual(report.removedAttributes, { 'on*': 1, style: 1 });
+    assert.deepEqual(report.removedClasses, { big: 1 });
+  });
+
+  it('refuses unsafe link targets and opens safe ones in a new tab', () => {
+    const { html, report } = sanitize('<p><a href="javascript:alert(1)">a</a> <a href="https://example.com">b</a></p>');
+    assert.equal(html, '<p><a>a</a> <a href="https://example.com" rel="noopener noreferrer" target="_blank">b</a></p>\n');
+    assert.equal(report.unsafeUrls, 1);
+  });
+
+  it('wraps bare text and stray list items at the top level', () => {
+    const { html } = sanitize('Intro text<li>one</li><li>two</li>');
+    assert.equal(html, '<p class="article-p">Intro text</p>\n<ul class="article-ul"><li>one</li><li>two</li></ul>\n');
+  });
+
+  it('keeps document order when a stray <li> sits next to a repaired <td>', () => {
+    assert.equal(
+      sanitize('<li>item</li><td>cell</td>').html,
+      '<ul class="article-ul"><li>item</li></ul>\n<p class="article-p">cell</p>\n'
+    );
+    assert.equal(
+      sanitize('<td>cell</td><li>item</li>').html,
+      '<p class="article-p">cell</p>\n<ul class="article-ul"><li>item</li></ul>\n'
+    );
+  });
+
+  it('drops stray closing tags instead of creating empty elements', () => {
+    const { html, report } = sanitize('<p>text</p></p><p>more</p>');
+    assert.equal(html, '<p>text</p>\n<p>more</p>\n');
+    assert.deepEqual(report.removedTags, { '/p': 1 });
+    assert.equal(report.changed, true);
+  });
+
+  it('leaves clean article HTML unchanged', () => {
+    const clean = '<h2 class="article-h2">Title</h2>\n<p class="article-p">Body</p>\n';
+    const { html, report } = sanitize(clean);
+    assert.equal(html, clean);
+    assert.equal(report.changed, false);
+  });
+});
+
+describe('getStylesheetClasses', () => {
+  it('collects class names but not the .dark theme scope', () => {
+    assert.deepEqual([...getStylesheetClasses('.article-p{} .dark .article-h2{}')], ['article-p', 'article-h2']);
+  });
+});
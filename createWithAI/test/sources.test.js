@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import { fetchSources, isPrivateAddress } from '../sources.js';
+
+const LIMITS = { timeoutMs: 2000, maxRedirects: 3, maxBytes: 100000, tokenBudget: 1000, allowPrivateHosts: false };
+const noop = () => {};
+
+describe('isPrivateAddress', () => {
+  it('refuses private, loopback and metadata addresses in every IPv6 spelling', () => {
+    for (const address of [
+      '127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.0.1', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1%eth0',
+      '::ffff:127.0.0.1', '::ffff:7f00:1', '[::ffff:a9fe:a9fe]', '::127.0.0.1',
+      '::ffff:0:7f00:1', '64:ff9b::a9fe:a9fe', '2002:7f00:1::', 'not-an-address'
+    ]) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+  });
+
+  it('allows public addresses', () => {
+    for (const address of ['8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8', '64:ff9b::808:808']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+});
+
+describe('fetchSources host checks', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'content-type': 'text/plain' });
+      res.end('loopback content');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => server.close());
+
+  it('refuses loopback through hostnames and mapped IPv6 literals', async () => {
+    const urls = ['127.0.0.1', 'localhost', '[::ffff:127.0.0.1]', '[::ffff:7f00:1]', '2130706433']
+      .map(host => `http://${host}:${port}/`);
+    const results = await fetchSources(urls, LIMITS, noop, noop);
+    for (const result of results) {
+      assert.equal(result.status, 'failed', result.url);
+      assert.match(result.error, /private or local address/);
+    }
+  });
+
+  it('fetches local hosts when allowPrivateHosts is set', async () => {
+    const [result] = await fetchSources([`http://localhost:${port}/`], { ...LIMITS, allowPrivateHosts: true }, noop, noop);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.excerpt, 'loopback content');
+  });
+});
@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+// The registry is read when the module is imported
+process.env.ARTICLE_TEMPLATES_PATH = new URL('./fixtures/templates-partial.json', import.meta.url).pathname;
+const { getTemplate, resolveTemplate } = await import('../templates.js');
+
+describe('template registry', () => {
+  it('fills fields a custom template leaves out from the default template', () => {
+    const template = getTemplate('recipe');
+    assert.equal(template.persona, 'a {category} expert');
+    assert.deepEqual(template.rules, ['Keep paragraphs short']);
+    assert.equal(template.structure, 'Ingredients, then numbered steps');
+    assert.deepEqual(template.categories, ['Cooking']);
+  });
+
+  it('keeps an entry that is not an object usable', () => {
+    const template = getTemplate('broken');
+    assert.equal(template.name, 'broken');
+    assert.deepEqual(template.categories, []);
+    assert.equal(typeof template.persona, 'string');
+  });
+
+  it('resolves by category and rejects ids that are not own keys', () => {
+    assert.deepEqual(resolveTemplate(undefined, 'cooking'), { success: true, templateId: 'recipe' });
+    assert.equal(resolveTemplate('constructor', 'cooking').success, false);
+    assert.equal(getTemplate('toString').id, 'default');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Token usage and cost accounting for createWithAI
+ *
+ * Every successful model call is turned into one usage record (tokens, latency,
+ * grounding, estimated cost) for the usage collection. Prices come from the
+ * `pricing` of the chain entry that served the call, in USD per million tokens,
+ * plus a flat per-request charge when search grounding was used.
+ */
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Usage figures for one generateWithFallback() result.
+ * Thinking tokens are billed as output tokens.
+ */
+export function summarizeUsage(generation) {
+  const usage = generation.usageMetadata || {};
+  const pricing = generation.pricing || {};
+
+  const promptTokens = usage.promptTokenCount || 0;
+  const outputTokens = usage.candidatesTokenCount || 0;
+  const thinkingTokens = usage.thoughtsTokenCount || 0;
+  const totalTokens = usage.totalTokenCount || promptTokens + outputTokens + thinkingTokens;
+
+  const grounding = generation.groundingMetadata;
+  const grounded = Boolean(grounding && (grounding.groundingChunks || grounding.webSearchQueries));
+  const groundingQueries = grounded && Array.isArray(grounding.webSearchQueries) ? grounding.webSearchQueries.length : 0;
+
+  const cost = (promptTokens * (pricing.input || 0) +
+    (outputTokens + thinkingTokens) * (pricing.output || 0)) / 1e6 +
+    (grounded ? pricing.grounding || 0 : 0);
+
+  return {
+    provider: generation.provider,
+    model: generation.model,
+    promptTokens,
+    outputTokens,
+    thinkingTokens,
+    totalTokens,
+    latencyMs: generation.latencyMs || 0,
+    grounded,
+    groundingQueries,
+    cost: roundCost(cost),
+    priced: Boolean(generation.pricing)
+  };
+}
+
+function emptyTotals() {
+  return { calls: 0, generations: 0, promptTokens: 0, outputTokens: 0, thinkingTokens: 0, totalTokens: 0, cost: 0, latencyMs: 0 };
+}
+
+function addRecord(totals, record, trackingIds) {
+  totals.calls++;
+  totals.promptTokens += record.promptTokens || 0;
+  totals.outputTokens += record.outputTokens || 0;
+  totals.thinkingTokens += record.thinkingTokens || 0;
+  totals.totalTokens += record.totalTokens || 0;
+  totals.cost = roundCost(totals.cost + (record.cost || 0));
+  totals.latencyMs += record.latencyMs || 0;
+  if (record.trackingId && !trackingIds.has(record.trackingId)) {
+    trackingIds.add(record.trackingId);
+    totals.generations++;
+  }
+}
+
+/**
+ * Aggregate usage records into overall totals and totals per user, tier and day.
+ * `generations` counts distinct tracking IDs (one user request may make several calls).
+ */
+export function aggregateUsage(records) {
+  const result = { totals: emptyTotals(), byUser: {}, byTier: {}, byDay: {} };
+  const trackingIdsByBucket = new Map();
+  const add = (group, key, record) => {
+    if (!result[group][key]) {
+      result[group][key] = emptyTotals();
+      trackingIdsByBucket.set(`${group}:${key}`, new Set());
+    }
+    addRecord(result[group][key], record, trackingIdsByBucket.get(`${group}:${key}`));
+  };
+  const allTrackingIds = new Set();
+
+  for (const record of records) {
+    addRecord(result.totals, record, allTrackingIds);
+    add('byUser', record.userId || 'unknown', record);
+    add('byTier', record.requestType || 'unknown', record);
+    add('byDay', record.day || String(record.$createdAt || '').substring(0, 10), record);
+  }
+
+  return result;
+}